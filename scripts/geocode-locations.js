@@ -0,0 +1,46 @@
+// Add coordinates to jobs and courses created before radius search existed.
+//
+//   npm run geocode:backfill
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../src/models/Job');
+const TrainingCourse = require('../src/models/TrainingCourse');
+const { geocodeLocation } = require('../src/utils/geo');
+
+const backfill = async (Model, label) => {
+  const cursor = Model.find({
+    'location.city': { $nin: [null, ''] },
+    'location.coordinates.coordinates': { $exists: false }
+  }).select('location').lean().cursor();
+
+  let updated = 0;
+  let unknown = 0;
+
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    const coordinates = geocodeLocation(doc.location);
+    if (!coordinates) {
+      unknown++;
+      continue;
+    }
+    await Model.updateOne({ _id: doc._id }, { $set: { 'location.coordinates': coordinates } });
+    updated++;
+  }
+
+  console.log(`${label}: ${updated} geocoded, ${unknown} with a city not in the gazetteer`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await backfill(Job, 'Jobs');
+    await backfill(TrainingCourse, 'Courses');
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch(error => {
+  console.error('Geocode backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,23 @@
+// Compute normalized salaries for jobs created before salary normalization existed.
+// Saving new exchange rates in the admin settings does this automatically.
+//
+//   npm run salary:normalize
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../src/models/Job');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const updated = await Job.renormalizeSalaries();
+    console.log(`Jobs: ${updated} salaries normalized`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch(error => {
+  console.error('Salary normalization failed:', error);
+  process.exit(1);
+});
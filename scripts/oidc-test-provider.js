@@ -0,0 +1,138 @@
+// Minimal OpenID Connect provider for trying out OIDC login locally.
+// It signs in a fixed test user without asking for credentials. Never use it in production.
+//
+//   npm run oidc:test-provider
+//
+// Then configure the API with:
+//   OIDC_PROVIDERS=test
+//   OIDC_TEST_ISSUER=http://localhost:5055
+//   OIDC_TEST_CLIENT_ID=job-agency
+//   OIDC_TEST_CLIENT_SECRET=test-secret
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.OIDC_TEST_PORT || 5055;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_TEST_CLIENT_ID || 'job-agency';
+const CLIENT_SECRET = process.env.OIDC_TEST_CLIENT_SECRET || 'test-secret';
+
+const testUser = {
+  sub: process.env.OIDC_TEST_SUB || 'test-user-1',
+  email: process.env.OIDC_TEST_EMAIL || 'oidc.user@example.com',
+  email_verified: true,
+  name: 'Test User',
+  given_name: 'Test',
+  family_name: 'User'
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+// Issued authorization codes and access tokens (in memory)
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [jwk] });
+});
+
+// Approve every request immediately and redirect back with a code
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge } = req.query;
+
+  if (client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).send('Unknown client or missing redirect_uri');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, { redirectUri: redirect_uri, nonce, codeChallenge: code_challenge });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+
+  console.log(`Issued code for ${testUser.email}, redirecting to ${url}`);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(auth.slice(6), 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret);
+  }
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (!grant || grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash('sha256')
+      .update(req.body.code_verifier || '')
+      .digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, testUser);
+
+  const idToken = jwt.sign(
+    { ...testUser, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const user = accessTokens.get(token);
+  if (!user) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(user);
+});
+
+app.listen(PORT, () => {
+  console.log(`Test OIDC provider running at ${ISSUER} (client id: ${CLIENT_ID})`);
+});
@@ -0,0 +1,66 @@
+// Create the default job category taxonomy. Existing categories (matched by
+// slug) are left untouched, so this is safe to run again.
+//
+//   npm run categories:seed
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const JobCategory = require('../src/models/JobCategory');
+
+const DEFAULT_CATEGORIES = {
+  'Technology': ['Software Development', 'Data & Analytics', 'IT Support & Infrastructure', 'Cybersecurity', 'Product & Design'],
+  'Business & Management': ['Administration', 'Project Management', 'Human Resources', 'Consulting'],
+  'Sales & Marketing': ['Sales', 'Marketing', 'Customer Service'],
+  'Finance': ['Accounting', 'Banking', 'Insurance'],
+  'Engineering & Manufacturing': ['Civil Engineering', 'Mechanical & Electrical', 'Manufacturing & Production'],
+  'Healthcare': ['Nursing', 'Medical Practitioners', 'Pharmacy'],
+  'Education & Training': ['Teaching', 'Training & Coaching'],
+  'Hospitality & Tourism': ['Hotels & Restaurants', 'Travel & Tourism'],
+  'Logistics & Transport': ['Supply Chain', 'Driving & Delivery'],
+  'Construction & Trades': [],
+  'Agriculture': [],
+  'NGO & Development': [],
+  'Other': []
+};
+
+const upsert = async (name, parent, sortOrder) => {
+  const slug = JobCategory.slugify(name);
+  const existing = await JobCategory.findOne({ slug });
+  if (existing) return { category: existing, created: false };
+
+  const category = await JobCategory.create({
+    name,
+    slug,
+    parent: parent?._id || null,
+    ancestors: parent ? [parent._id, ...parent.ancestors] : [],
+    sortOrder
+  });
+  return { category, created: true };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    let created = 0;
+    const entries = Object.entries(DEFAULT_CATEGORIES);
+
+    for (const [index, [name, children]] of entries.entries()) {
+      const root = await upsert(name, null, index);
+      created += root.created ? 1 : 0;
+
+      for (const [childIndex, childName] of children.entries()) {
+        const child = await upsert(childName, root.category, childIndex);
+        created += child.created ? 1 : 0;
+      }
+    }
+
+    console.log(`Job categories: ${created} created`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch(error => {
+  console.error('Job category seed failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+// OpenID Connect identity providers, configured through environment variables.
+//
+//   OIDC_PROVIDERS=corp,test
+//   OIDC_CORP_ISSUER=https://login.example.com
+//   OIDC_CORP_CLIENT_ID=...
+//   OIDC_CORP_CLIENT_SECRET=...
+//
+// See .env.example for the optional per-provider settings.
+
+const SIGNUP_ROLES = ['jobseeker', 'employer', 'training_center'];
+
+const loadProvider = (id) => {
+  const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (name) => process.env[prefix + name];
+
+  const provider = {
+    id,
+    name: env('NAME') || id,
+    issuer: (env('ISSUER') || '').replace(/\/$/, ''),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    scopes: env('SCOPES') || 'openid email profile',
+    redirectUri: env('REDIRECT_URI') ||
+      `${process.env.FRONTEND_URL || 'http://localhost:3000'}/oidc/callback`,
+    // Role given to accounts created through this provider
+    role: env('ROLE') || 'jobseeker',
+    // Treat emails from this provider as verified even without the email_verified claim.
+    // Only used for new accounts; existing accounts must link the provider themselves.
+    trustEmail: env('TRUST_EMAIL') === 'true',
+    // Company owner (user id) whose team new employer accounts join
+    employerId: env('EMPLOYER_ID'),
+    teamRole: env('TEAM_ROLE') || 'recruiter'
+  };
+
+  if (!provider.issuer || !provider.clientId) {
+    console.error(`OIDC provider "${id}" is missing ${prefix}ISSUER or ${prefix}CLIENT_ID and was skipped`);
+    return null;
+  }
+
+  if (!SIGNUP_ROLES.includes(provider.role)) {
+    console.error(`OIDC provider "${id}" has an invalid ${prefix}ROLE and was skipped`);
+    return null;
+  }
+
+  return provider;
+};
+
+const providers = new Map();
+
+(process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(Boolean)
+  .forEach(id => {
+    const provider = loadProvider(id);
+    if (provider) {
+      providers.set(id, provider);
+    }
+  });
+
+const getProvider = (id) => providers.get(String(id).toLowerCase()) || null;
+
+const listProviders = () => Array.from(providers.values());
+
+module.exports = {
+  getProvider,
+  listProviders
+};
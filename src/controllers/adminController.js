@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Job = require('../models/Job');
 const Application = require('../models/Application');
@@ -6,7 +7,46 @@ const EmployerProfile = require('../models/EmployerProfile');
 const TrainingCenterProfile = require('../models/TrainingCenterProfile');
 const TrainingCourse = require('../models/TrainingCourse');
 const CourseInquiry = require('../models/CourseInquiry');
-const { notifyEmployerBanned, notifyTrainingCenterBanned } = require('../utils/createNotification');
+const Session = require('../models/Session');
+const PlatformSettings = require('../models/PlatformSettings');
+const EmployerTeamMember = require('../models/EmployerTeamMember');
+const ApiKey = require('../models/ApiKey');
+const SavedSearch = require('../models/SavedSearch');
+const JobCategory = require('../models/JobCategory');
+const Report = require('../models/Report');
+const ModerationDecision = require('../models/ModerationDecision');
+const { buildCategoryTree } = require('../utils/jobCategories');
+const { REPORT_TARGETS, loadReportTarget } = require('../utils/reports');
+const { MODERATION_TARGETS } = require('../utils/moderation');
+const { matchJobAlerts } = require('../utils/jobAlerts');
+const {
+  notifyEmployerBanned,
+  notifyTrainingCenterBanned,
+  notifyReportOutcome,
+  notifyModerationDecision
+} = require('../utils/createNotification');
+
+// Shared by the user and job endpoints and by report moderation
+const setUserActive = async (user, isActive) => {
+  user.isActive = isActive;
+  await user.save();
+
+  // Force logout on every device when the account is deactivated
+  if (!isActive) {
+    await Session.revokeAllForUser(user._id, 'account_deactivated');
+  }
+};
+
+const applyJobStatus = async (job, status) => {
+  const wasInactive = job.status !== 'active';
+
+  job.status = status;
+  await job.save();
+
+  if (status === 'active' && wasInactive) {
+    matchJobAlerts(job._id);
+  }
+};
 
 exports.getDashboardStats = async (req, res) => {
   try {
@@ -186,8 +226,7 @@ exports.updateUserStatus = async (req, res) => {
       });
     }
 
-    user.isActive = isActive;
-    await user.save();
+    await setUserActive(user, isActive);
 
     res.status(200).json({
       success: true,
@@ -203,6 +242,33 @@ exports.updateUserStatus = async (req, res) => {
   }
 };
 
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    res.status(200).json({
+      success: true,
+      data: user,
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user'
+    });
+  }
+};
+
 exports.deleteUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
@@ -228,6 +294,7 @@ exports.deleteUser = async (req, res) => {
       await Application.deleteMany({ jobSeeker: user._id });
       // Delete course inquiries made by this jobseeker (CourseInquiry.inquirer references User._id)
       await CourseInquiry.deleteMany({ inquirer: user._id });
+      await SavedSearch.deleteMany({ user: user._id });
     } else if (user.role === 'employer') {
       // Get employer profile for company name
       const employerProfile = await EmployerProfile.findOne({ user: user._id });
@@ -250,6 +317,8 @@ exports.deleteUser = async (req, res) => {
       // Delete all jobs posted by this employer
       await Job.deleteMany({ employer: user._id });
       await EmployerProfile.deleteOne({ user: user._id });
+      await EmployerTeamMember.deleteMany({ $or: [{ owner: user._id }, { user: user._id }] });
+      await ApiKey.deleteMany({ owner: user._id });
     } else if (user.role === 'training_center') {
       const profile = await TrainingCenterProfile.findOne({ user: user._id });
       if (profile) {
@@ -275,6 +344,8 @@ exports.deleteUser = async (req, res) => {
       }
     }
 
+    await Session.deleteMany({ user: user._id });
+    await Report.deleteMany({ reporter: user._id });
     await User.deleteOne({ _id: user._id });
 
     res.status(200).json({
@@ -292,7 +363,7 @@ exports.deleteUser = async (req, res) => {
 
 exports.getJobs = async (req, res) => {
   try {
-    const { status, search, page = 1, limit = 10 } = req.query;
+    const { status, flagged, sort, search, page = 1, limit = 10 } = req.query;
 
     const query = {};
 
@@ -300,6 +371,11 @@ exports.getJobs = async (req, res) => {
       query.status = status;
     }
 
+    // Jobs whose spam and duplicate risk score reached the review threshold
+    if (flagged !== undefined && flagged !== 'all') {
+      query['risk.flagged'] = flagged === 'true' ? true : { $ne: true };
+    }
+
     if (search) {
       query.$or = [
         { title: { $regex: search, $options: 'i' } },
@@ -311,7 +387,8 @@ exports.getJobs = async (req, res) => {
 
     const [jobs, total] = await Promise.all([
       Job.find(query)
-        .sort({ createdAt: -1 })
+        .select('+risk')
+        .sort(sort === 'risk' ? { 'risk.score': -1, createdAt: -1 } : { createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
         .populate('employer', 'companyName logo'),
@@ -358,8 +435,15 @@ exports.updateJobStatus = async (req, res) => {
       });
     }
 
-    job.status = status;
-    await job.save();
+    // Held jobs are released through the moderation queue so the decision is recorded
+    if (job.status === 'pending_review' || status === 'pending_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the moderation queue to approve or reject jobs awaiting review'
+      });
+    }
+
+    await applyJobStatus(job, status);
 
     res.status(200).json({
       success: true,
@@ -403,6 +487,443 @@ exports.deleteJob = async (req, res) => {
   }
 };
 
+// Pre-moderation queue for held jobs and courses
+
+const MODERATION_MODELS = { job: Job, course: TrainingCourse };
+
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const { targetType = 'job', page = 1, limit = 20 } = req.query;
+
+    const Model = MODERATION_MODELS[targetType];
+    if (!Model) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid moderation target type'
+      });
+    }
+
+    const query = { status: 'pending_review' };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Oldest submissions first
+    let postings = Model.find(query)
+      .sort({ updatedAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    postings = targetType === 'job'
+      ? postings.select('+risk').populate('employerProfile', 'companyName logo')
+      : postings.populate('trainingCenterProfile', 'centerName logo isVerified');
+
+    const [items, total, jobCount, courseCount] = await Promise.all([
+      postings,
+      Model.countDocuments(query),
+      Job.countDocuments(query),
+      TrainingCourse.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: items,
+      counts: {
+        job: jobCount,
+        course: courseCount
+      },
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch moderation queue'
+    });
+  }
+};
+
+// Approve or reject a held job or course, notify its owner and record the decision
+const decidePosting = (decision) => async (req, res) => {
+  try {
+    const { targetType, id } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    const Model = MODERATION_MODELS[targetType];
+    if (!Model) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid moderation target type'
+      });
+    }
+
+    if (decision === 'rejected' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the rejection'
+      });
+    }
+
+    const query = Model.findById(id);
+    const posting = await (targetType === 'job' ? query.select('+risk') : query);
+
+    if (!posting) {
+      return res.status(404).json({
+        success: false,
+        message: `${targetType === 'job' ? 'Job' : 'Course'} not found`
+      });
+    }
+
+    if (posting.status !== 'pending_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only postings awaiting review can be approved or rejected'
+      });
+    }
+
+    const now = new Date();
+    if (decision === 'approved') {
+      posting.moderation = { reviewRequired: false, approvedAt: now, approvedBy: req.user._id };
+      // Jobs with a future publish time are scheduled rather than published now
+      posting.status = targetType === 'job' && posting.publishAt > now
+        ? 'scheduled'
+        : MODERATION_TARGETS[targetType].approvedStatus;
+    } else {
+      // Rejected postings go back to draft and need approval again when resubmitted
+      posting.moderation.reviewRequired = true;
+      posting.moderation.rejectedAt = now;
+      posting.moderation.rejectionReason = reason;
+      posting.status = 'draft';
+    }
+    await posting.save();
+
+    if (targetType === 'job' && posting.status === 'active') {
+      matchJobAlerts(posting._id);
+    }
+
+    const owner = posting[MODERATION_TARGETS[targetType].ownerField];
+    await ModerationDecision.create({
+      targetType,
+      target: posting._id,
+      title: posting.title,
+      owner,
+      decision,
+      reason: reason || undefined,
+      riskScore: posting.risk?.score,
+      decidedBy: req.user._id
+    });
+    await notifyModerationDecision(owner, targetType, posting._id, posting.title, decision, reason);
+
+    res.status(200).json({
+      success: true,
+      data: posting,
+      message: `${targetType === 'job' ? 'Job' : 'Course'} ${decision}`
+    });
+  } catch (error) {
+    console.error('Error moderating posting:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Failed to save moderation decision'
+    });
+  }
+};
+
+exports.approvePosting = decidePosting('approved');
+exports.rejectPosting = decidePosting('rejected');
+
+exports.getModerationHistory = async (req, res) => {
+  try {
+    const { targetType, targetId, decision, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (targetType && targetType !== 'all') {
+      query.targetType = targetType;
+    }
+    if (targetId) {
+      query.target = targetId;
+    }
+    if (decision && decision !== 'all') {
+      query.decision = decision;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [decisions, total] = await Promise.all([
+      ModerationDecision.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('decidedBy', 'email'),
+      ModerationDecision.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: decisions,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching moderation history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch moderation history'
+    });
+  }
+};
+
+// Summarize a report target for the report queue
+const summarizeReportTarget = (targetType, target) => {
+  if (!target) return null;
+  return {
+    _id: target.doc._id,
+    type: targetType,
+    name: target.name,
+    owner: target.owner,
+    status: target.doc.status,
+    isActive: target.doc.isActive
+  };
+};
+
+exports.getReportQueue = async (req, res) => {
+  try {
+    const { targetType, page = 1, limit = 20 } = req.query;
+
+    const match = { status: 'open' };
+    if (targetType && targetType !== 'all') {
+      match.targetType = targetType;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const groupByTarget = {
+      $group: {
+        _id: { targetType: '$targetType', target: '$target' },
+        reportCount: { $sum: 1 },
+        reasons: { $push: '$reason' },
+        firstReportedAt: { $min: '$createdAt' },
+        lastReportedAt: { $max: '$createdAt' }
+      }
+    };
+
+    const [groups, totalResult] = await Promise.all([
+      Report.aggregate([
+        { $match: match },
+        groupByTarget,
+        { $sort: { reportCount: -1, lastReportedAt: -1 } },
+        { $skip: skip },
+        { $limit: parseInt(limit) }
+      ]),
+      Report.aggregate([
+        { $match: match },
+        groupByTarget,
+        { $count: 'total' }
+      ])
+    ]);
+
+    const total = totalResult[0]?.total || 0;
+
+    // Most reported targets first, with a count per reason
+    const queue = await Promise.all(groups.map(async (group) => {
+      const target = await loadReportTarget(group._id.targetType, group._id.target);
+      const reasons = group.reasons.reduce((counts, reason) => {
+        counts[reason] = (counts[reason] || 0) + 1;
+        return counts;
+      }, {});
+
+      return {
+        targetType: group._id.targetType,
+        targetId: group._id.target,
+        target: summarizeReportTarget(group._id.targetType, target),
+        reportCount: group.reportCount,
+        reasons,
+        firstReportedAt: group.firstReportedAt,
+        lastReportedAt: group.lastReportedAt,
+        actions: ['dismiss', ...REPORT_TARGETS[group._id.targetType].actions]
+      };
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: queue,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching report queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report queue'
+    });
+  }
+};
+
+exports.getTargetReports = async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+
+    if (!REPORT_TARGETS[targetType]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report target type'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report target id'
+      });
+    }
+
+    const [target, reports] = await Promise.all([
+      loadReportTarget(targetType, targetId),
+      Report.find({ targetType, target: targetId })
+        .sort({ createdAt: -1 })
+        .populate('reporter', 'email role')
+        .populate('resolution.resolvedBy', 'email')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        target: summarizeReportTarget(targetType, target),
+        actions: ['dismiss', ...REPORT_TARGETS[targetType].actions],
+        reports
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching target reports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reports'
+    });
+  }
+};
+
+exports.resolveReports = async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { action, note } = req.body;
+
+    if (!REPORT_TARGETS[targetType]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report target type'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report target id'
+      });
+    }
+
+    const actions = ['dismiss', ...REPORT_TARGETS[targetType].actions];
+    if (!actions.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${actions.join(', ')}`
+      });
+    }
+
+    const openReports = await Report.find({ targetType, target: targetId, status: 'open' })
+      .select('reporter');
+
+    if (openReports.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open reports for this target'
+      });
+    }
+
+    // A deleted target can only be dismissed
+    const target = await loadReportTarget(targetType, targetId);
+    if (!target && action !== 'dismiss') {
+      return res.status(404).json({
+        success: false,
+        message: 'The reported item no longer exists'
+      });
+    }
+
+    // Held postings are decided in the moderation queue. Pausing one here would
+    // let the owner resume it later without a review.
+    const changesStatus = ['pause_job', 'close_job', 'archive_course'].includes(action);
+    if (changesStatus && target.doc.status === 'pending_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'This item is awaiting moderation review. Approve or reject it in the moderation queue first'
+      });
+    }
+
+    if (action === 'pause_job' || action === 'close_job') {
+      await applyJobStatus(target.doc, action === 'pause_job' ? 'paused' : 'closed');
+    } else if (action === 'archive_course') {
+      target.doc.status = 'archived';
+      await target.doc.save();
+    } else if (action === 'deactivate_account') {
+      const owner = await User.findById(target.owner);
+      if (!owner) {
+        return res.status(404).json({
+          success: false,
+          message: 'The account behind this item was not found'
+        });
+      }
+      if (owner.role === 'admin') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot modify admin users'
+        });
+      }
+      await setUserActive(owner, false);
+    }
+
+    const outcome = action === 'dismiss' ? 'dismissed' : 'actioned';
+    await Report.updateMany(
+      { _id: { $in: openReports.map(report => report._id) }, status: 'open' },
+      {
+        $set: {
+          status: outcome,
+          resolution: {
+            action,
+            note,
+            resolvedBy: req.user._id,
+            resolvedAt: new Date()
+          }
+        }
+      }
+    );
+
+    // Let each reporter know their report was reviewed
+    const targetName = target?.name || 'a removed item';
+    const reporters = [...new Set(openReports.map(report => report.reporter.toString()))];
+    await Promise.all(reporters.map(reporter => notifyReportOutcome(reporter, targetName, outcome)));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        action,
+        status: outcome,
+        resolvedCount: openReports.length
+      },
+      message: `${openReports.length} report${openReports.length === 1 ? '' : 's'} ${outcome}`
+    });
+  } catch (error) {
+    console.error('Error resolving reports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve reports'
+    });
+  }
+};
+
 exports.getTrainingCenters = async (req, res) => {
   try {
     const { isVerified, search, page = 1, limit = 10 } = req.query;
@@ -536,8 +1057,26 @@ exports.getAnalytics = async (req, res) => {
       { $sort: { _id: 1 } }
     ]);
 
-    // Top job skills
+    // Top job categories, counting subcategory jobs towards their top-level category
     const topCategories = await Job.aggregate([
+      { $match: { category: { $ne: null } } },
+      { $lookup: { from: 'jobcategories', localField: 'category', foreignField: '_id', as: 'categoryInfo' } },
+      { $unwind: '$categoryInfo' },
+      {
+        $group: {
+          _id: { $ifNull: [{ $last: '$categoryInfo.ancestors' }, '$categoryInfo._id'] },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $limit: 10 },
+      { $lookup: { from: 'jobcategories', localField: '_id', foreignField: '_id', as: 'rootInfo' } },
+      { $unwind: '$rootInfo' },
+      { $project: { name: '$rootInfo.name', slug: '$rootInfo.slug', count: 1 } }
+    ]);
+
+    // Top job skills
+    const topSkills = await Job.aggregate([
       { $unwind: '$requirements.skills' },
       { $group: { _id: '$requirements.skills', count: { $sum: 1 } } },
       { $match: { _id: { $ne: null, $ne: '' } } },
@@ -588,6 +1127,7 @@ exports.getAnalytics = async (req, res) => {
         jobPostings,
         applications,
         topCategories,
+        topSkills,
         topLocations,
         applicationOutcomes,
         topEmployers
@@ -601,3 +1141,301 @@ exports.getAnalytics = async (req, res) => {
     });
   }
 };
+
+exports.getSettings = async (req, res) => {
+  try {
+    const settings = await PlatformSettings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch settings'
+    });
+  }
+};
+
+exports.updateSettings = async (req, res) => {
+  try {
+    const { security, salary, moderation } = req.body;
+
+    const settings = await PlatformSettings.getSettings();
+    const previousRoles = settings.security?.twoFactorRequiredRoles || [];
+
+    if (security?.twoFactorRequiredRoles !== undefined) {
+      settings.security.twoFactorRequiredRoles = security.twoFactorRequiredRoles;
+    }
+
+    // Exchange rates replace the whole table; base currency and rates are upper-cased ISO codes
+    const salaryChanged = salary?.baseCurrency !== undefined || salary?.exchangeRates !== undefined;
+    if (salary?.exchangeRates !== undefined) {
+      const rates = salary.exchangeRates;
+      if (!rates || typeof rates !== 'object' || Array.isArray(rates) ||
+        Object.keys(rates).some(code => !/^[A-Za-z]{3}$/.test(code))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Exchange rates must map 3-letter currency codes to rates'
+        });
+      }
+      settings.salary.exchangeRates = Object.fromEntries(
+        Object.entries(rates).map(([code, rate]) => [code.toUpperCase(), rate])
+      );
+    }
+    if (salary?.baseCurrency !== undefined) {
+      settings.salary.baseCurrency = salary.baseCurrency;
+    }
+    if (salaryChanged) {
+      settings.salary.ratesUpdatedAt = new Date();
+    }
+
+    // Pre-moderation applies to postings created or materially edited from now on
+    if (moderation?.preModeration !== undefined) {
+      ['jobs', 'courses'].forEach(key => {
+        if (moderation.preModeration?.[key] !== undefined) {
+          settings.moderation.preModeration[key] = moderation.preModeration[key] === true;
+        }
+      });
+    }
+
+    // Job risk scoring; new values apply to jobs assessed from now on
+    if (moderation?.blockedPhrases !== undefined) {
+      const phrases = moderation.blockedPhrases;
+      if (!Array.isArray(phrases) || phrases.some(phrase => typeof phrase !== 'string')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Blocked phrases must be a list of phrases'
+        });
+      }
+      settings.moderation.blockedPhrases = [...new Set(
+        phrases.map(phrase => phrase.trim().toLowerCase()).filter(Boolean)
+      )];
+    }
+    if (moderation?.riskThreshold !== undefined) {
+      settings.moderation.riskThreshold = moderation.riskThreshold;
+    }
+    if (moderation?.maxAnnualSalary !== undefined) {
+      settings.moderation.maxAnnualSalary = moderation.maxAnnualSalary;
+    }
+
+    settings.updatedBy = req.user._id;
+    await settings.save();
+
+    // Job salaries are stored normalized, so recompute them with the new rates
+    if (salaryChanged) {
+      const updated = await Job.renormalizeSalaries();
+      console.log(`Exchange rates updated: ${updated} job salaries renormalized`);
+    }
+
+    // Log out users of newly enforced roles who have not enrolled in 2FA yet
+    const newlyRequiredRoles = settings.security.twoFactorRequiredRoles
+      .filter(role => !previousRoles.includes(role));
+
+    if (newlyRequiredRoles.length > 0) {
+      const users = await User.find({
+        role: { $in: newlyRequiredRoles },
+        twoFactorEnabled: { $ne: true },
+        _id: { $ne: req.user._id }
+      }).select('_id');
+
+      await Session.updateMany(
+        { user: { $in: users.map(u => u._id) }, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'two_factor_required' } }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+      message: 'Settings updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Failed to update settings'
+    });
+  }
+};
+
+// Job category taxonomy
+
+exports.getJobCategories = async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      JobCategory.find().lean(),
+      Job.aggregate([
+        { $match: { category: { $ne: null } } },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countMap = Object.fromEntries(counts.map(row => [row._id.toString(), row.count]));
+
+    res.status(200).json({
+      success: true,
+      data: buildCategoryTree(categories, countMap)
+    });
+  } catch (error) {
+    console.error('Error fetching job categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job categories'
+    });
+  }
+};
+
+exports.createJobCategory = async (req, res) => {
+  try {
+    const { name, slug, description, parent, sortOrder, isActive } = req.body;
+
+    let parentCategory = null;
+    if (parent) {
+      parentCategory = await JobCategory.findById(parent);
+      if (!parentCategory) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent category not found'
+        });
+      }
+    }
+
+    const category = await JobCategory.create({
+      name,
+      slug: slug || JobCategory.slugify(name),
+      description,
+      parent: parentCategory?._id || null,
+      ancestors: parentCategory ? [parentCategory._id, ...parentCategory.ancestors] : [],
+      sortOrder,
+      isActive
+    });
+
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: 'Job category created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating job category:', error);
+    const isDuplicate = error.code === 11000;
+    res.status(error.name === 'ValidationError' || isDuplicate ? 400 : 500).json({
+      success: false,
+      message: isDuplicate
+        ? 'A category with this slug already exists'
+        : error.name === 'ValidationError' ? error.message : 'Failed to create job category'
+    });
+  }
+};
+
+exports.updateJobCategory = async (req, res) => {
+  try {
+    const category = await JobCategory.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job category not found'
+      });
+    }
+
+    const { name, slug, description, parent, sortOrder, isActive } = req.body;
+
+    if (name !== undefined) category.name = name;
+    if (slug !== undefined) category.slug = slug;
+    if (description !== undefined) category.description = description;
+    if (sortOrder !== undefined) category.sortOrder = sortOrder;
+    if (isActive !== undefined) category.isActive = isActive;
+
+    // Moving a category also moves its whole subtree
+    const moved = parent !== undefined && String(parent || '') !== String(category.parent || '');
+    if (moved) {
+      let parentCategory = null;
+      if (parent) {
+        parentCategory = await JobCategory.findById(parent);
+        if (!parentCategory) {
+          return res.status(400).json({
+            success: false,
+            message: 'Parent category not found'
+          });
+        }
+        if (parentCategory._id.equals(category._id) || parentCategory.ancestors.some(id => id.equals(category._id))) {
+          return res.status(400).json({
+            success: false,
+            message: 'A category cannot be moved under itself or one of its subcategories'
+          });
+        }
+      }
+      category.parent = parentCategory?._id || null;
+      category.ancestors = parentCategory ? [parentCategory._id, ...parentCategory.ancestors] : [];
+    }
+
+    await category.save();
+
+    if (moved) {
+      const descendants = await JobCategory.find({ ancestors: category._id });
+      await Promise.all(descendants.map(descendant => {
+        // Keep the path below the moved category and replace the path above it
+        const index = descendant.ancestors.findIndex(id => id.equals(category._id));
+        descendant.ancestors = [...descendant.ancestors.slice(0, index + 1), ...category.ancestors];
+        return descendant.save();
+      }));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: category,
+      message: 'Job category updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating job category:', error);
+    const isDuplicate = error.code === 11000;
+    res.status(error.name === 'ValidationError' || isDuplicate ? 400 : 500).json({
+      success: false,
+      message: isDuplicate
+        ? 'A category with this slug already exists'
+        : error.name === 'ValidationError' ? error.message : 'Failed to update job category'
+    });
+  }
+};
+
+exports.deleteJobCategory = async (req, res) => {
+  try {
+    const category = await JobCategory.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job category not found'
+      });
+    }
+
+    // Categories in use are deactivated instead, so existing jobs keep their category
+    const [childCount, jobCount] = await Promise.all([
+      JobCategory.countDocuments({ parent: category._id }),
+      Job.countDocuments({ category: category._id })
+    ]);
+
+    if (childCount > 0 || jobCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This category has ${childCount} subcategories and ${jobCount} jobs. Deactivate it instead.`
+      });
+    }
+
+    await category.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Job category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting job category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete job category'
+    });
+  }
+};
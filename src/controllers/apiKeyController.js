@@ -0,0 +1,163 @@
+const ApiKey = require('../models/ApiKey');
+
+const invalidScopes = (scopes) => {
+  return !Array.isArray(scopes) || scopes.length === 0 ||
+    scopes.some(scope => !ApiKey.SCOPES.includes(scope));
+};
+
+exports.getApiKeys = async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ owner: req.employer.companyId })
+      .populate('createdBy', 'email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: keys,
+      scopes: ApiKey.SCOPES
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: error.message
+    });
+  }
+};
+
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Key name is required'
+      });
+    }
+
+    if (invalidScopes(scopes)) {
+      return res.status(400).json({
+        success: false,
+        message: `Scopes must be one or more of: ${ApiKey.SCOPES.join(', ')}`
+      });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be in the future'
+      });
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+
+    const apiKey = await ApiKey.create({
+      owner: req.employer.companyId,
+      createdBy: req.user._id,
+      name,
+      prefix,
+      keyHash,
+      scopes,
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        ...apiKey.toObject(),
+        keyHash: undefined,
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: error.message
+    });
+  }
+};
+
+exports.updateApiKey = async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      owner: req.employer.companyId,
+      revokedAt: null
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (name !== undefined) {
+      apiKey.name = name;
+    }
+
+    if (scopes !== undefined) {
+      if (invalidScopes(scopes)) {
+        return res.status(400).json({
+          success: false,
+          message: `Scopes must be one or more of: ${ApiKey.SCOPES.join(', ')}`
+        });
+      }
+      apiKey.scopes = scopes;
+    }
+
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating API key',
+      error: error.message
+    });
+  }
+};
+
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      owner: req.employer.companyId,
+      revokedAt: null
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+};
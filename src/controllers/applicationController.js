@@ -6,6 +6,8 @@ const User = require('../models/User');
 const cloudinary = require('../config/cloudinary');
 const streamifier = require('streamifier');
 const mongoose = require('mongoose');
+const { belongsToCompany } = require('../middleware/employerContext');
+const { evaluateAnswers, normalizeAnswer } = require('../utils/screening');
 const {
   notifyApplicationReceived,
   notifyApplicationStatus,
@@ -37,12 +39,19 @@ const uploadToCloudinary = (fileBuffer, folder, resourceType = 'auto') => {
   });
 };
 
+// Knockout reasons are for the employer; candidates only see the rejection
+const hideKnockoutReasons = (application) => {
+  const data = application.toObject();
+  delete data.knockoutReasons;
+  return data;
+};
+
 const submitApplication = async (req, res) => {
   try {
-    const { jobId, coverLetterText, useProfileResume } = req.body;
+    const { jobId, coverLetterText, useProfileResume, screeningAnswers } = req.body;
 
     // Check if job exists and is active
-    const job = await Job.findById(jobId);
+    const job = await Job.findById(jobId).select('+screeningQuestions.knockout');
     if (!job) {
       return res.status(404).json({
         success: false,
@@ -87,6 +96,42 @@ const submitApplication = async (req, res) => {
       });
     }
 
+    // Check screening answers (sent as JSON when the form is multipart)
+    let submittedAnswers = screeningAnswers;
+    if (typeof submittedAnswers === 'string') {
+      try {
+        submittedAnswers = JSON.parse(submittedAnswers);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Screening answers must be valid JSON'
+        });
+      }
+    }
+
+    const screening = evaluateAnswers(job.screeningQuestions, submittedAnswers);
+    if (screening.error) {
+      return res.status(400).json({
+        success: false,
+        message: screening.error
+      });
+    }
+
+    // Knockout answers reject the application straight away. The reasons are kept
+    // for the employer; the candidate's history only says screening rejected it.
+    const statusHistory = [{
+      status: 'pending',
+      changedAt: new Date()
+    }];
+    const knockedOut = screening.knockoutReasons.length > 0;
+    if (knockedOut) {
+      statusHistory.push({
+        status: 'rejected',
+        changedAt: new Date(),
+        note: 'Automatically rejected by screening questions'
+      });
+    }
+
     // Determine resume URL
     let resumeUrl;
     const useExistingResume = useProfileResume === 'true' || useProfileResume === true;
@@ -154,10 +199,10 @@ const submitApplication = async (req, res) => {
           ? `${profile.education[0].degree} from ${profile.education[0].institution}`
           : 'Not specified'
       },
-      statusHistory: [{
-        status: 'pending',
-        changedAt: new Date()
-      }]
+      screeningAnswers: screening.answers,
+      knockoutReasons: screening.knockoutReasons,
+      status: knockedOut ? 'rejected' : 'pending',
+      statusHistory
     });
 
     // Increment application count on job
@@ -195,7 +240,7 @@ const submitApplication = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Application submitted successfully',
-      data: application
+      data: hideKnockoutReasons(application)
     });
   } catch (error) {
     console.error('Error submitting application:', error);
@@ -296,7 +341,9 @@ const getApplicationById = async (req, res) => {
           path: 'jobSeekerProfile',
           select: 'firstName lastName phone skills experience education resume photo location'
         }
-      });
+      })
+      .populate('statusHistory.changedBy', 'email')
+      .select('+knockoutReasons');
 
     if (!application) {
       return res.status(404).json({
@@ -307,7 +354,8 @@ const getApplicationById = async (req, res) => {
 
     // Check authorization
     const isJobSeeker = application.jobSeeker._id.toString() === req.user._id.toString();
-    const isEmployer = application.employer.toString() === req.user._id.toString();
+    const isEmployer = belongsToCompany(req, application.employer) &&
+      req.employer.permissions.includes('view_applications');
 
     if (!isJobSeeker && !isEmployer) {
       return res.status(403).json({
@@ -318,7 +366,7 @@ const getApplicationById = async (req, res) => {
 
     res.json({
       success: true,
-      data: application
+      data: isEmployer ? application : hideKnockoutReasons(application)
     });
   } catch (error) {
     console.error('Error fetching application:', error);
@@ -335,7 +383,7 @@ const getApplicationsForJob = async (req, res) => {
     const { status, page = 1, limit = 10 } = req.query;
 
     // Verify job ownership
-    const job = await Job.findById(req.params.jobId);
+    const job = await Job.findById(req.params.jobId).select('+screeningQuestions.knockout');
     if (!job) {
       return res.status(404).json({
         success: false,
@@ -343,7 +391,7 @@ const getApplicationsForJob = async (req, res) => {
       });
     }
 
-    if (job.employer.toString() !== req.user._id.toString()) {
+    if (!belongsToCompany(req, job.employer)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view applications for this job'
@@ -355,6 +403,56 @@ const getApplicationsForJob = async (req, res) => {
       query.status = status;
     }
 
+    // Knocked out by screening rules or not
+    if (req.query.knockedOut === 'true') {
+      query['knockoutReasons.0'] = { $exists: true };
+    } else if (req.query.knockedOut === 'false') {
+      query['knockoutReasons.0'] = { $exists: false };
+    }
+
+    // Filter by screening answers: ?answers[<questionId>]=value
+    // Number questions also accept answers[<questionId>][min] and [max]
+    const answerFilters = [];
+    for (const [questionId, value] of Object.entries(req.query.answers || {})) {
+      const question = job.screeningQuestions.find(q => q._id.toString() === questionId);
+      if (!question) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown screening question: ${questionId}`
+        });
+      }
+
+      let answerMatch;
+      if (question.type === 'number' && value && typeof value === 'object' && !Array.isArray(value)) {
+        answerMatch = {};
+        if (value.min !== undefined) answerMatch.$gte = Number(value.min);
+        if (value.max !== undefined) answerMatch.$lte = Number(value.max);
+      } else if (question.type === 'text') {
+        const escaped = String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        answerMatch = { $regex: escaped, $options: 'i' };
+      } else {
+        // Multi choice answers are arrays, so this matches any selected option
+        const values = [].concat(value).map(v => normalizeAnswer(
+          question.type === 'multi_choice' ? { ...question.toObject(), type: 'single_choice' } : question,
+          v
+        ));
+        if (values.includes(undefined)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid filter value for: ${question.question}`
+          });
+        }
+        answerMatch = { $in: values };
+      }
+
+      answerFilters.push({
+        screeningAnswers: { $elemMatch: { question: question._id, answer: answerMatch } }
+      });
+    }
+    if (answerFilters.length > 0) {
+      query.$and = answerFilters;
+    }
+
     const applications = await Application.find(query)
       .populate({
         path: 'jobSeeker',
@@ -364,6 +462,7 @@ const getApplicationsForJob = async (req, res) => {
           select: 'firstName lastName phone skills experience education resume photo location'
         }
       })
+      .select('+knockoutReasons')
       .sort({ appliedDate: -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
@@ -375,7 +474,8 @@ const getApplicationsForJob = async (req, res) => {
       data: applications,
       job: {
         _id: job._id,
-        title: job.title
+        title: job.title,
+        screeningQuestions: job.screeningQuestions
       },
       pagination: {
         total,
@@ -398,7 +498,7 @@ const getEmployerApplications = async (req, res) => {
   try {
     const { status, jobId, page = 1, limit = 20 } = req.query;
 
-    const query = { employer: req.user._id };
+    const query = { employer: req.employer.companyId };
     if (status && status !== 'all') {
       query.status = status;
     }
@@ -419,6 +519,7 @@ const getEmployerApplications = async (req, res) => {
           select: 'firstName lastName skills experience photo location'
         }
       })
+      .select('+knockoutReasons')
       .sort({ appliedDate: -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
@@ -426,7 +527,7 @@ const getEmployerApplications = async (req, res) => {
     const total = await Application.countDocuments(query);
 
     // Get counts by status
-    const employerId = new mongoose.Types.ObjectId(req.user._id);
+    const employerId = new mongoose.Types.ObjectId(req.employer.companyId);
     const statusCounts = await Application.aggregate([
       { $match: { employer: employerId } },
       { $group: { _id: '$status', count: { $sum: 1 } } }
@@ -483,8 +584,8 @@ const updateApplicationStatus = async (req, res) => {
       });
     }
 
-    // Verify employer owns the job
-    if (application.employer.toString() !== req.user._id.toString()) {
+    // Verify the job belongs to the employer's company
+    if (!belongsToCompany(req, application.employer)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this application'
@@ -503,8 +604,7 @@ const updateApplicationStatus = async (req, res) => {
 
     // Get job and employer details for notification
     const job = await Job.findById(application.job);
-    const employerProfile = await EmployerProfile.findOne({ user: req.user._id });
-    const companyName = employerProfile?.companyName || 'The employer';
+    const companyName = req.employer.profile?.companyName || 'The employer';
 
     // Send notification to job seeker
     notifyApplicationStatus(
@@ -566,7 +666,7 @@ const bulkUpdateStatus = async (req, res) => {
     // Verify all applications belong to employer
     const applications = await Application.find({
       _id: { $in: applicationIds },
-      employer: req.user._id
+      employer: req.employer.companyId
     });
 
     if (applications.length !== applicationIds.length) {
@@ -578,7 +678,7 @@ const bulkUpdateStatus = async (req, res) => {
 
     // Update all applications
     await Application.updateMany(
-      { _id: { $in: applicationIds }, employer: req.user._id },
+      { _id: { $in: applicationIds }, employer: req.employer.companyId },
       {
         $set: { status },
         $push: {
@@ -619,7 +719,7 @@ const provideFeedback = async (req, res) => {
       });
     }
 
-    if (application.employer.toString() !== req.user._id.toString()) {
+    if (!belongsToCompany(req, application.employer)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to provide feedback'
@@ -636,8 +736,7 @@ const provideFeedback = async (req, res) => {
 
     // Get job and employer details for notification
     const job = await Job.findById(application.job);
-    const employerProfile = await EmployerProfile.findOne({ user: req.user._id });
-    const companyName = employerProfile?.companyName || 'The employer';
+    const companyName = req.employer.profile?.companyName || 'The employer';
 
     // Send notification to job seeker
     notifyFeedbackReceived(
@@ -675,7 +774,7 @@ const scheduleInterview = async (req, res) => {
       });
     }
 
-    if (application.employer.toString() !== req.user._id.toString()) {
+    if (!belongsToCompany(req, application.employer)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to schedule interview'
@@ -709,8 +808,7 @@ const scheduleInterview = async (req, res) => {
 
     // Get job and employer details for notification
     const job = await Job.findById(application.job);
-    const employerProfile = await EmployerProfile.findOne({ user: req.user._id });
-    const companyName = employerProfile?.companyName || 'The employer';
+    const companyName = req.employer.profile?.companyName || 'The employer';
 
     // Send notification to job seeker
     notifyInterviewScheduled(
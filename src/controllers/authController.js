@@ -7,10 +7,176 @@ const Application = require('../models/Application');
 const TrainingCourse = require('../models/TrainingCourse');
 const CourseInquiry = require('../models/CourseInquiry');
 const Notification = require('../models/Notification');
-const { generateToken } = require('../utils/jwt');
+const Session = require('../models/Session');
+const EmployerTeamMember = require('../models/EmployerTeamMember');
+const ApiKey = require('../models/ApiKey');
+const PlatformSettings = require('../models/PlatformSettings');
+const OidcLoginRequest = require('../models/OidcLoginRequest');
+const SavedSearch = require('../models/SavedSearch');
+const Report = require('../models/Report');
+const { getProvider, listProviders } = require('../config/oidc');
+const { createAuthorizationRequest, completeAuthorization } = require('../utils/oidc');
+const { generateToken, generateChallengeToken, verifyChallengeToken } = require('../utils/jwt');
+const { generateTwoFactorSecret, verifyTotpCode, generateRecoveryCodes } = require('../utils/twoFactor');
+const { recordFailedLogin, rejectIfThrottled } = require('../utils/loginLockout');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
-const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/sendEmail');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeNoticeEmail
+} = require('../utils/sendEmail');
+
+// Start a new session for the user and return the access and refresh tokens
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.issue(user._id, {
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+  const token = generateToken(user._id, user.role, session._id);
+
+  return { token, refreshToken };
+};
+
+// Checks shared by every login method once the user has proven who they are
+// (password, magic link or identity provider), then either asks for 2FA or starts a session
+const completeLogin = async (user, req, res) => {
+  // Check if user is active
+  if (user.isActive === false) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your account has been deactivated. Please contact support.'
+    });
+  }
+
+  // Check if email is verified (skip if email service not configured)
+  const emailRequired = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+  if (emailRequired && !user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email before logging in. Check your inbox for the verification link.',
+      needsVerification: true,
+      email: user.email
+    });
+  }
+
+  // Second step required: return a challenge token instead of a session
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user._id, '2fa_login')
+    });
+  }
+
+  // Role requires 2FA but the user has not enrolled yet
+  if (await PlatformSettings.isTwoFactorRequired(user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for your account. Please set it up to continue.',
+      twoFactorSetupRequired: true,
+      challengeToken: generateChallengeToken(user._id, '2fa_setup')
+    });
+  }
+
+  // Start a session and generate tokens
+  await user.resetLoginAttempts();
+  const { token, refreshToken } = await startSession(user, req);
+
+  res.json({
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role
+    }
+  });
+};
+
+// Give a new OpenID Connect account the profile its provider is set up for
+const provisionOidcProfile = async (user, provider, claims) => {
+  if (user.role === 'jobseeker' && claims.given_name && claims.family_name) {
+    await JobSeekerProfile.create({
+      user: user._id,
+      firstName: claims.given_name,
+      lastName: claims.family_name
+    });
+  }
+
+  if (user.role === 'employer' && provider.employerId) {
+    const companyProfile = await EmployerProfile.findOne({ user: provider.employerId });
+    if (!companyProfile) {
+      console.error(`OIDC provider "${provider.id}" points to an employer without a company profile`);
+      return;
+    }
+
+    await EmployerTeamMember.create({
+      employerProfile: companyProfile._id,
+      owner: provider.employerId,
+      user: user._id,
+      email: user.email,
+      name: claims.name,
+      role: provider.teamRole,
+      status: 'active',
+      joinedAt: new Date()
+    });
+  }
+};
+
+// Find the user linked to an OpenID Connect identity, linking or creating one by email
+const findOrCreateOidcUser = async (provider, claims) => {
+  const identity = { provider: provider.id, subject: String(claims.sub) };
+
+  const linkedUser = await User.findOne({ identities: { $elemMatch: identity } });
+  if (linkedUser) {
+    return { user: linkedUser };
+  }
+
+  const email = claims.email && String(claims.email).toLowerCase();
+  const providerVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  if (!email) {
+    return { error: 'Your identity provider did not share an email address' };
+  }
+
+  // Only an email the provider has verified may claim an account
+  if (!providerVerified && !provider.trustEmail) {
+    return { error: 'Your identity provider has not verified your email address' };
+  }
+
+  // Existing accounts are only linked automatically when the provider itself
+  // verified the email, and admin accounts never are. Otherwise the owner has
+  // to sign in and link the provider from their account.
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    if (!providerVerified || existingUser.role === 'admin') {
+      return {
+        error: `An account with this email already exists. Sign in to it and link ${provider.name} from your account settings.`
+      };
+    }
+    existingUser.identities.push(identity);
+    existingUser.isVerified = true;
+    await existingUser.save({ validateBeforeSave: false });
+    return { user: existingUser };
+  }
+
+  // The random password can be replaced later through the forgot password flow
+  const user = await User.create({
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    role: provider.role,
+    isVerified: true,
+    identities: [identity]
+  });
+
+  await provisionOidcProfile(user, provider, claims);
+
+  return { user };
+};
 
 exports.register = async (req, res) => {
   try {
@@ -50,154 +216,817 @@ exports.register = async (req, res) => {
       const verificationToken = user.getEmailVerificationToken();
       await user.save({ validateBeforeSave: false });
 
-      // Create verification URL
-      const verificationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${verificationToken}`;
+      // Create verification URL
+      const verificationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${verificationToken}`;
+
+      // Always log verification URL for development
+      console.log(`\nVerification link for ${email}:`);
+      console.log(`   ${verificationUrl}\n`);
+
+      // Send verification email (non-blocking)
+      try {
+        await sendVerificationEmail(email, verificationUrl);
+        emailSent = true;
+      } catch (emailError) {
+        console.error('Failed to send verification email:', emailError.message);
+        // User can still use the console-logged URL
+      }
+    } else {
+      // Auto-verify if email not configured
+      user.isVerified = true;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: emailSent
+        ? 'Registration successful. Please check your email to verify your account.'
+        : 'Registration successful.',
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        isVerified: user.isVerified
+      }
+    });
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during registration'
+    });
+  }
+};
+
+exports.login = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    // Check if user exists
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (rejectIfThrottled(user, res)) {
+      return;
+    }
+
+    // Check password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      await recordFailedLogin(user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+exports.requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    const genericResponse = {
+      success: true,
+      message: 'If an account with that email exists, a login link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Don't reveal if user exists or is active
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const magicToken = user.getMagicLinkToken();
+    await user.save({ validateBeforeSave: false });
+
+    const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/magic-login?token=${magicToken}`;
+
+    try {
+      await sendMagicLinkEmail(user.email, loginUrl);
+      res.status(200).json(genericResponse);
+    } catch (emailError) {
+      // If email fails, clear the login token
+      user.magicLinkToken = undefined;
+      user.magicLinkExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      console.error('Email send error:', emailError);
+      res.status(500).json({
+        success: false,
+        message: 'Email could not be sent. Please try again later.'
+      });
+    }
+  } catch (error) {
+    console.error('Request magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending login link'
+    });
+  }
+};
+
+exports.verifyMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Login token is required'
+      });
+    }
+
+    // Hash the token to compare with stored hash
+    const magicLinkToken = crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+
+    // Consume the token atomically so the link works only once
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkToken,
+        magicLinkExpire: { $gt: Date.now() }
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpire: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired login link'
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Verify magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+exports.getOidcProviders = async (req, res) => {
+  res.json({
+    success: true,
+    data: listProviders().map(provider => ({
+      id: provider.id,
+      name: provider.name
+    }))
+  });
+};
+
+exports.startOidcLogin = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Identity provider not found'
+      });
+    }
+
+    const authRequest = await createAuthorizationRequest(provider);
+    await OidcLoginRequest.record(provider.id, authRequest);
+
+    res.json({
+      success: true,
+      data: {
+        url: authRequest.url
+      }
+    });
+  } catch (error) {
+    console.error('Start OIDC login error:', error.message);
+    res.status(502).json({
+      success: false,
+      message: 'Could not reach the identity provider'
+    });
+  }
+};
+
+// Start linking an identity provider to the signed-in account
+exports.startOidcLink = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Identity provider not found'
+      });
+    }
+
+    const authRequest = await createAuthorizationRequest(provider);
+    await OidcLoginRequest.record(provider.id, authRequest, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        url: authRequest.url
+      }
+    });
+  } catch (error) {
+    console.error('Start OIDC link error:', error.message);
+    res.status(502).json({
+      success: false,
+      message: 'Could not reach the identity provider'
+    });
+  }
+};
+
+// Link the identity from a completed authorization to the account that started it
+const linkOidcIdentity = async (userId, provider, claims, res) => {
+  const identity = { provider: provider.id, subject: String(claims.sub) };
+
+  const linkedUser = await User.findOne({ identities: { $elemMatch: identity } });
+  if (linkedUser && !linkedUser._id.equals(userId)) {
+    return res.status(400).json({
+      success: false,
+      message: `This ${provider.name} identity is already linked to another account`
+    });
+  }
+
+  const user = await User.findById(userId);
+  if (!user || user.isActive === false) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+
+  if (!linkedUser) {
+    // One identity per provider
+    user.identities = user.identities.filter(existing => existing.provider !== provider.id);
+    user.identities.push(identity);
+    await user.save({ validateBeforeSave: false });
+  }
+
+  res.json({
+    success: true,
+    message: `${provider.name} linked to your account`,
+    data: {
+      provider: provider.id
+    }
+  });
+};
+
+exports.completeOidcLogin = async (req, res) => {
+  try {
+    const { code, state } = req.body;
+
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authorization code and state are required'
+      });
+    }
+
+    // Single use: the pending request is deleted as it is read
+    const loginRequest = await OidcLoginRequest.consume(state);
+    const provider = loginRequest && getProvider(loginRequest.provider);
+
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired login request. Please try again.'
+      });
+    }
+
+    let claims;
+    try {
+      claims = await completeAuthorization(provider, code, loginRequest);
+    } catch (oidcError) {
+      console.error('OIDC authorization error:', oidcError.message);
+      return res.status(401).json({
+        success: false,
+        message: 'Sign in with your identity provider failed. Please try again.'
+      });
+    }
+
+    // Started from a signed-in account: link instead of logging in
+    if (loginRequest.user) {
+      return linkOidcIdentity(loginRequest.user, provider, claims, res);
+    }
+
+    const { user, error } = await findOrCreateOidcUser(provider, claims);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Complete OIDC login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and verification code are required'
+      });
+    }
+
+    const decoded = verifyChallengeToken(challengeToken, '2fa_login');
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge invalid or expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user || user.isActive === false) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (rejectIfThrottled(user, res)) {
+      return;
+    }
+
+    // Failed codes count towards the same lockout as wrong passwords
+    if (!user.verifyTwoFactorCode(code)) {
+      await recordFailedLogin(user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+    await user.save({ validateBeforeSave: false });
+    await user.resetLoginAttempts();
+
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Verify 2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await generateTwoFactorSecret(user.email);
+
+    // Secret only becomes active once the user confirms a code from their app
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+  } catch (error) {
+    console.error('Setup 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication'
+    });
+  }
+};
+
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotpCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+
+    const response = {
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes
+    };
+
+    // Enrollment was part of a login, so complete it now
+    if (req.challenge) {
+      const { token, refreshToken } = await startSession(user, req);
+      Object.assign(response, {
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          email: user.email,
+          role: user.role
+        }
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Enable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication'
+    });
+  }
+};
+
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password and a verification code'
+      });
+    }
+
+    if (await PlatformSettings.isTwoFactorRequired(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication'
+    });
+  }
+};
+
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
 
-      // Always log verification URL for development
-      console.log(`\nVerification link for ${email}:`);
-      console.log(`   ${verificationUrl}\n`);
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes'
+    });
+  }
+};
 
-      // Send verification email (non-blocking)
-      try {
-        await sendVerificationEmail(email, verificationUrl);
-        emailSent = true;
-      } catch (emailError) {
-        console.error('Failed to send verification email:', emailError.message);
-        // User can still use the console-logged URL
-      }
-    } else {
-      // Auto-verify if email not configured
-      user.isVerified = true;
-      await user.save({ validateBeforeSave: false });
+exports.getMe = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
     }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: emailSent
-        ? 'Registration successful. Please check your email to verify your account.'
-        : 'Registration successful.',
       user: {
         id: user._id,
         email: user.email,
         role: user.role,
-        isVerified: user.isVerified
+        isVerified: user.isVerified,
+        pendingEmail: user.emailChangeExpire > Date.now() ? user.pendingEmail : undefined,
+        twoFactorEnabled: user.twoFactorEnabled,
+        createdAt: user.createdAt
       }
     });
   } catch (error) {
-    console.error('Register error:', error);
+    console.error('GetMe error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during registration'
+      message: 'Server error'
     });
   }
 };
 
-exports.login = async (req, res) => {
+exports.refreshToken = async (req, res) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
       return res.status(400).json({
         success: false,
-        errors: errors.array()
+        message: 'Refresh token is required'
       });
     }
 
-    const { email, password } = req.body;
+    const { session, reused } = await Session.findByRefreshToken(refreshToken);
 
-    // Check if user exists
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
+    if (!session) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Invalid refresh token'
       });
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
+    // A rotated-out token was presented again: assume it was stolen and end the session
+    if (reused) {
+      if (!session.revokedAt) {
+        session.revoke('refresh_token_reuse');
+        await session.save();
+      }
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Refresh token has already been used. Please log in again.'
       });
     }
 
-    // Check if user is active
-    if (user.isActive === false) {
-      return res.status(403).json({
+    if (!session.isValid()) {
+      return res.status(401).json({
         success: false,
-        message: 'Your account has been deactivated. Please contact support.'
+        message: 'Session expired or revoked. Please log in again.'
       });
     }
 
-    // Check if email is verified (skip if email service not configured)
-    const emailRequired = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
-    if (emailRequired && !user.isVerified) {
-      return res.status(403).json({
+    const user = await User.findById(session.user);
+
+    if (!user || user.isActive === false) {
+      session.revoke(user ? 'account_deactivated' : 'user_deleted');
+      await session.save();
+      return res.status(401).json({
         success: false,
-        message: 'Please verify your email before logging in. Check your inbox for the verification link.',
-        needsVerification: true,
-        email: user.email
+        message: 'Not authorized'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    // Rotate refresh token and issue a new access token
+    const newRefreshToken = session.rotateRefreshToken();
+    session.lastSeenAt = new Date();
+    session.ipAddress = req.ip;
+    await session.save();
+
+    const token = generateToken(user._id, user.role, session._id);
 
     res.json({
       success: true,
       token,
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role
-      }
+      refreshToken: newRefreshToken
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error during token refresh'
     });
   }
 };
 
-exports.getMe = async (req, res) => {
+exports.logout = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    // Revoke the session behind the current access token
+    req.session.revoke('logout');
+    await req.session.save();
 
-    if (!user) {
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastSeenAt: -1 })
+      .select('userAgent ipAddress createdAt lastSeenAt expiresAt');
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        isCurrent: session._id.toString() === req.session._id.toString()
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+};
+
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session || session.revokedAt) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Session not found'
       });
     }
 
+    session.revoke('revoked_by_user');
+    await session.save();
+
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        isVerified: user.isVerified,
-        createdAt: user.createdAt
-      }
+      message: 'Session revoked successfully'
     });
   } catch (error) {
-    console.error('GetMe error:', error);
+    console.error('Revoke session error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error revoking session'
     });
   }
 };
 
-exports.logout = async (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'revoked_by_user', req.session._id);
+
+    res.json({
+      success: true,
+      message: 'All other sessions have been logged out',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions'
+    });
+  }
 };
 
 exports.forgotPassword = async (req, res) => {
@@ -267,7 +1096,7 @@ exports.forgotPassword = async (req, res) => {
 
 exports.resetPassword = async (req, res) => {
   try {
-    const { token, password } = req.body;
+    const { token, password, code } = req.body;
 
     if (!token || !password) {
       return res.status(400).json({
@@ -293,7 +1122,7 @@ exports.resetPassword = async (req, res) => {
     const user = await User.findOne({
       resetPasswordToken,
       resetPasswordExpire: { $gt: Date.now() }
-    });
+    }).select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
 
     if (!user) {
       return res.status(400).json({
@@ -302,12 +1131,27 @@ exports.resetPassword = async (req, res) => {
       });
     }
 
+    // Email access alone must not be enough to take over a 2FA-protected account
+    if (user.twoFactorEnabled && !user.verifyTwoFactorCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: code
+          ? 'Invalid verification code'
+          : 'Please provide a code from your authenticator app or a recovery code',
+        twoFactorRequired: true
+      });
+    }
+
     // Set new password
     user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    // Log out every device that used the old password and lift any lockout
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    await user.resetLoginAttempts();
+
     res.status(200).json({
       success: true,
       message: 'Password reset successful. You can now login with your new password.'
@@ -371,6 +1215,9 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Keep the current session, log out all others
+    await Session.revokeAllForUser(user._id, 'password_changed', req.session._id);
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully'
@@ -384,6 +1231,165 @@ exports.changePassword = async (req, res) => {
   }
 };
 
+exports.requestEmailChange = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { newEmail, currentPassword } = req.body;
+
+    // Get user with password
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Check current password
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email must be different from current email'
+      });
+    }
+
+    const emailInUse = await User.exists({ email: newEmail });
+    if (emailInUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email address is already in use'
+      });
+    }
+
+    const changeToken = user.getEmailChangeToken(newEmail);
+    await user.save({ validateBeforeSave: false });
+
+    const confirmUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/confirm-email-change?token=${changeToken}`;
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+
+    console.log(`\nEmail change confirmation link for ${newEmail}:`);
+    console.log(`   ${confirmUrl}\n`);
+
+    // Warn the current address; a failed notice should not block the change
+    sendEmailChangeNoticeEmail(user.email, newEmail, resetUrl)
+      .catch(err => console.error('Failed to send email change notice:', err.message));
+
+    try {
+      await sendEmailChangeConfirmationEmail(newEmail, confirmUrl);
+
+      res.status(200).json({
+        success: true,
+        message: 'Confirmation email sent to your new address. Your email will change once you confirm it.'
+      });
+    } catch (emailError) {
+      console.error('Email send error:', emailError);
+      // Still return success since URL is logged to console
+      res.status(200).json({
+        success: true,
+        message: 'Confirmation link generated. Check server console if email not received.'
+      });
+    }
+  } catch (error) {
+    console.error('Request email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting email change'
+    });
+  }
+};
+
+exports.confirmEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation token is required'
+      });
+    }
+
+    // Hash the token to compare with stored hash
+    const emailChangeToken = crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      emailChangeToken,
+      emailChangeExpire: { $gt: Date.now() }
+    });
+
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation link'
+      });
+    }
+
+    // The address may have been registered since the change was requested
+    const emailInUse = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+    if (emailInUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email address is already in use'
+      });
+    }
+
+    // Confirming the link proves ownership of the new address
+    user.email = user.pendingEmail;
+    user.isVerified = true;
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpire = undefined;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    user.magicLinkToken = undefined;
+    user.magicLinkExpire = undefined;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address changed successfully',
+      data: {
+        email: user.email
+      }
+    });
+  } catch (error) {
+    // Unique index catches a registration racing the confirmation
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email address is already in use'
+      });
+    }
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming email change'
+    });
+  }
+};
+
 exports.deleteAccount = async (req, res) => {
   try {
     const { password } = req.body;
@@ -447,6 +1453,7 @@ exports.deleteAccount = async (req, res) => {
         JobSeekerProfile.deleteOne({ user: userId }),
         Application.deleteMany({ jobSeeker: userId }),
         CourseInquiry.deleteMany({ inquirer: userId }),
+        SavedSearch.deleteMany({ user: userId }),
         Notification.deleteMany({ recipient: userId })
       ]);
 
@@ -479,12 +1486,14 @@ exports.deleteAccount = async (req, res) => {
         await Notification.insertMany(jobSeekerNotifications);
       }
 
-      // Delete employer's data
+      // Delete employer's data, including their team or their own team membership
       await Promise.all([
         EmployerProfile.deleteOne({ user: userId }),
         Job.deleteMany({ employer: userId }),
         Application.deleteMany({ job: { $in: jobIds } }),
-        Notification.deleteMany({ recipient: userId })
+        Notification.deleteMany({ recipient: userId }),
+        EmployerTeamMember.deleteMany({ $or: [{ owner: userId }, { user: userId }] }),
+        ApiKey.deleteMany({ owner: userId })
       ]);
 
     } else if (userRole === 'training_center') {
@@ -524,7 +1533,9 @@ exports.deleteAccount = async (req, res) => {
       ]);
     }
 
-    // Finally, delete the user account
+    // Finally, delete the user account, its sessions and the reports it filed
+    await Session.deleteMany({ user: userId });
+    await Report.deleteMany({ reporter: userId });
     await User.findByIdAndDelete(userId);
 
     res.status(200).json({
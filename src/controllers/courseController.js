@@ -2,6 +2,28 @@ const TrainingCourse = require('../models/TrainingCourse');
 const TrainingCenterProfile = require('../models/TrainingCenterProfile');
 const CourseInquiry = require('../models/CourseInquiry');
 const { createNotification } = require('../utils/createNotification');
+const { createQueryBuilder, getPagination } = require('../utils/queryBuilder');
+const { parseGeoQuery, withinRadius, findWithDistance } = require('../utils/geo');
+const { isMaterialEdit, requiresReview, holdForReview } = require('../utils/moderation');
+const { recordItemView, getItemTimeSeries } = require('../utils/itemViews');
+
+// Fields training centers can set; ownership, counters, ratings and moderation
+// state are only changed by the API itself
+const EDITABLE_FIELDS = [
+  'title', 'description', 'category', 'skillsTaught', 'level', 'duration', 'mode', 'schedule',
+  'location', 'price', 'startDate', 'endDate', 'enrollmentDeadline', 'maxParticipants',
+  'prerequisites', 'syllabus', 'certification', 'instructors', 'thumbnail', 'status'
+];
+
+const pickEditableFields = (body = {}) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
 
 exports.createCourse = async (req, res) => {
   try {
@@ -15,11 +37,25 @@ exports.createCourse = async (req, res) => {
     }
 
     const courseData = {
-      ...req.body,
+      ...pickEditableFields(req.body),
       trainingCenter: req.user.id,
       trainingCenterProfile: profile._id
     };
 
+    // In-person and hybrid courses default to the training center's location
+    if (!courseData.location?.city && courseData.mode !== 'online' && profile.location?.city) {
+      courseData.location = {
+        city: profile.location.city,
+        state: profile.location.state,
+        country: profile.location.country
+      };
+    }
+
+    // Under pre-moderation, courses wait for an admin before being published
+    const reviewRequired = await requiresReview('course');
+    courseData.moderation = { reviewRequired };
+    courseData.status = holdForReview('course', courseData.status, reviewRequired);
+
     const course = await TrainingCourse.create(courseData);
 
     // Update total courses count
@@ -29,7 +65,9 @@ exports.createCourse = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Course created successfully',
+      message: course.status === 'pending_review'
+        ? 'Course submitted for review. It will be published once approved.'
+        : 'Course created successfully',
       data: course
     });
   } catch (error) {
@@ -85,9 +123,11 @@ exports.getMyCourses = async (req, res) => {
 exports.getCourseById = async (req, res) => {
   try {
     const course = await TrainingCourse.findById(req.params.id)
+      .select('-moderation')
       .populate('trainingCenterProfile', 'centerName logo location contactInfo isVerified rating');
 
-    if (!course) {
+    // Courses awaiting approval are only visible to admins and their training center
+    if (!course || course.status === 'pending_review') {
       return res.status(404).json({
         success: false,
         message: 'Course not found'
@@ -110,7 +150,7 @@ exports.getCourseById = async (req, res) => {
 
 exports.updateCourse = async (req, res) => {
   try {
-    let course = await TrainingCourse.findById(req.params.id);
+    const course = await TrainingCourse.findById(req.params.id);
 
     if (!course) {
       return res.status(404).json({
@@ -127,15 +167,28 @@ exports.updateCourse = async (req, res) => {
       });
     }
 
-    course = await TrainingCourse.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const updates = pickEditableFields(req.body);
+
+    // Material edits need a new approval under pre-moderation. Training centers
+    // cannot release a held course, but an edit that no longer needs review publishes it.
+    const materialEdit = isMaterialEdit('course', updates);
+    let reviewRequired = !!course.moderation?.reviewRequired;
+    if (materialEdit) {
+      reviewRequired = await requiresReview('course', { previous: course.moderation });
+      updates['moderation.reviewRequired'] = reviewRequired;
+    }
+    const requestedStatus = updates.status || (course.status === 'pending_review' ? 'published' : course.status);
+    updates.status = holdForReview('course', requestedStatus, reviewRequired);
+
+    // Saved through the document so the validate hook geocodes the location
+    course.set(updates);
+    await course.save();
 
     res.json({
       success: true,
-      message: 'Course updated successfully',
+      message: course.status === 'pending_review'
+        ? 'Course updated and held for review. It will be published once approved.'
+        : 'Course updated successfully',
       data: course
     });
   } catch (error) {
@@ -199,49 +252,36 @@ exports.getAllCourses = async (req, res) => {
       minPrice,
       maxPrice,
       isFree,
-      city,
-      sortBy = 'newest',
-      page = 1,
-      limit = 12
+      sortBy = 'newest'
     } = req.query;
 
-    const query = { status: 'published' };
-
-    // Search by title, description, or skills
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { skillsTaught: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
+    const filters = createQueryBuilder({ status: 'published' })
+      // Search by title, description, or skills
+      .search(['title', 'description', 'skillsTaught'], search)
+      .equals('category', category)
+      .equals('mode', mode)
+      .equals('level', level);
 
-    // Filter by category
-    if (category) {
-      query.category = category;
+    // Filter by price
+    if (isFree === 'true') {
+      filters.equals('price.isFree', true);
+    } else {
+      filters.range('price.amount', minPrice, maxPrice);
     }
 
-    // Filter by mode
-    if (mode) {
-      query.mode = mode;
+    // Radius search: ?lat=&lng= or ?near=<city>, with &radius=<km>
+    const geo = parseGeoQuery(req.query);
+    if (geo?.error) {
+      return res.status(400).json({
+        success: false,
+        message: geo.error
+      });
     }
-
-    // Filter by level
-    if (level) {
-      query.level = level;
+    if (geo) {
+      filters.where('geo', withinRadius('location.coordinates', geo));
     }
 
-    // Filter by price
-    if (isFree === 'true') {
-      query['price.isFree'] = true;
-    } else {
-      if (minPrice) {
-        query['price.amount'] = { ...query['price.amount'], $gte: parseFloat(minPrice) };
-      }
-      if (maxPrice) {
-        query['price.amount'] = { ...query['price.amount'], $lte: parseFloat(maxPrice) };
-      }
-    }
+    const query = filters.build();
 
     // Sorting
     let sort = {};
@@ -264,18 +304,26 @@ exports.getAllCourses = async (req, res) => {
       case 'rating':
         sort = { 'rating.average': -1 };
         break;
+      case 'distance':
+        sort = geo ? 'distance' : { createdAt: -1 };
+        break;
       default:
         sort = { createdAt: -1 };
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { page, limit, skip } = getPagination(req.query, { defaultLimit: 12 });
 
     const [courses, total] = await Promise.all([
-      TrainingCourse.find(query)
-        .populate('trainingCenterProfile', 'centerName logo isVerified')
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit)),
+      findWithDistance(TrainingCourse, {
+        filter: sort === 'distance' ? filters.build('geo') : query,
+        geo,
+        field: 'location.coordinates',
+        sort,
+        skip,
+        limit,
+        populate: { path: 'trainingCenterProfile', select: 'centerName logo isVerified' },
+        exclude: ['moderation']
+      }),
       TrainingCourse.countDocuments(query)
     ]);
 
@@ -283,10 +331,10 @@ exports.getAllCourses = async (req, res) => {
       success: true,
       count: courses.length,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        pages: Math.ceil(total / parseInt(limit))
+        pages: Math.ceil(total / limit)
       },
       data: courses
     });
@@ -644,11 +692,7 @@ exports.getUserInquiries = async (req, res) => {
 
 exports.recordCourseView = async (req, res) => {
   try {
-    const course = await TrainingCourse.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { viewCount: 1 } },
-      { new: true }
-    );
+    const course = await TrainingCourse.findById(req.params.id).select('viewCount');
 
     if (!course) {
       return res.status(404).json({
@@ -657,9 +701,13 @@ exports.recordCourseView = async (req, res) => {
       });
     }
 
+    // Bots and repeat views within the dedupe window are not counted
+    const counted = await recordItemView('course', course._id, req);
+
     res.status(200).json({
       success: true,
-      viewCount: course.viewCount
+      counted,
+      viewCount: course.viewCount + (counted ? 1 : 0)
     });
   } catch (error) {
     res.status(500).json({
@@ -668,3 +716,49 @@ exports.recordCourseView = async (req, res) => {
     });
   }
 };
+
+// Daily views, unique viewers, bookmarks and inquiries for the owning training center
+exports.getCourseAnalytics = async (req, res) => {
+  try {
+    const course = await TrainingCourse.findById(req.params.id)
+      .select('trainingCenter title status viewCount enrolledCount');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check ownership
+    if (course.trainingCenter.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view analytics for this course'
+      });
+    }
+
+    const analytics = await getItemTimeSeries('course', course._id, req.query.days);
+
+    res.json({
+      success: true,
+      data: {
+        course: {
+          _id: course._id,
+          title: course.title,
+          status: course.status,
+          viewCount: course.viewCount,
+          enrolledCount: course.enrolledCount
+        },
+        ...analytics
+      }
+    });
+  } catch (error) {
+    console.error('Get course analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching course analytics',
+      error: error.message
+    });
+  }
+};
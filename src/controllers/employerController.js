@@ -2,6 +2,10 @@ const EmployerProfile = require('../models/EmployerProfile');
 const Job = require('../models/Job');
 const cloudinary = require('../config/cloudinary');
 const streamifier = require('streamifier');
+const { createQueryBuilder, getPagination } = require('../utils/queryBuilder');
+const { getHiringFunnel } = require('../utils/hiringFunnel');
+
+const PUBLIC_JOB_STATUSES = ['active', 'closed'];
 
 exports.createOrUpdateProfile = async (req, res) => {
   try {
@@ -67,7 +71,8 @@ exports.createOrUpdateProfile = async (req, res) => {
 
 exports.getProfile = async (req, res) => {
   try {
-    const profile = await EmployerProfile.findOne({ user: req.user._id });
+    // Team members see the profile of the company they work for
+    const profile = req.employer.profile;
 
     if (!profile) {
       return res.status(404).json({
@@ -80,6 +85,8 @@ exports.getProfile = async (req, res) => {
       success: true,
       data: profile,
       completion: profile.calculateCompletion(),
+      teamRole: req.employer.role,
+      permissions: req.employer.permissions,
     });
   } catch (error) {
     res.status(500).json({
@@ -131,11 +138,19 @@ exports.getEmployerJobs = async (req, res) => {
   try {
     const { page = 1, limit = 10, status = 'active' } = req.query;
 
-    const query = { employer: req.params.userId };
-    if (status !== 'all') {
-      query.status = status;
+    // Public list: drafts, scheduled, paused and held jobs are only visible to the company and admins
+    if (status !== 'all' && !PUBLIC_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${PUBLIC_JOB_STATUSES.join(', ')}, all`,
+      });
     }
 
+    const query = {
+      employer: req.params.userId,
+      status: status === 'all' ? { $in: PUBLIC_JOB_STATUSES } : status,
+    };
+
     const [jobs, total] = await Promise.all([
       Job.find(query)
         .select('title jobType location salary postedDate applicationDeadline applicationCount status')
@@ -164,6 +179,25 @@ exports.getEmployerJobs = async (req, res) => {
   }
 };
 
+// Hiring funnel of the company's jobs for the last `days` days (default 30, max 365)
+exports.getDashboardStats = async (req, res) => {
+  try {
+    const funnel = await getHiringFunnel(req.employer.companyId, { days: req.query.days });
+
+    res.status(200).json({
+      success: true,
+      data: funnel,
+    });
+  } catch (error) {
+    console.error('Dashboard stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dashboard stats',
+      error: error.message,
+    });
+  }
+};
+
 exports.uploadLogo = async (req, res) => {
   try {
     if (!req.file) {
@@ -300,22 +334,18 @@ exports.uploadCoverImage = async (req, res) => {
 
 exports.getAllEmployers = async (req, res) => {
   try {
-    const { page = 1, limit = 10, industry, search } = req.query;
+    const { industry, search } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
 
-    const query = { isProfileComplete: true };
-
-    if (industry) {
-      query.industry = industry;
-    }
-
-    if (search) {
-      query.companyName = { $regex: search, $options: 'i' };
-    }
+    const query = createQueryBuilder({ isProfileComplete: true })
+      .equals('industry', industry)
+      .search('companyName', search)
+      .build();
 
     const profiles = await EmployerProfile.find(query)
       .select('companyName industry companySize location logo description')
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
+      .skip(skip)
+      .limit(limit)
       .sort({ createdAt: -1 });
 
     const total = await EmployerProfile.countDocuments(query);
@@ -324,8 +354,8 @@ exports.getAllEmployers = async (req, res) => {
       success: true,
       data: profiles,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
         pages: Math.ceil(total / limit),
       },
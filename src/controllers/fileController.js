@@ -0,0 +1,183 @@
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const JobSeekerProfile = require('../models/JobSeekerProfile');
+const { generateFileToken, verifyFileToken } = require('../utils/jwt');
+const { belongsToCompany } = require('../middleware/employerContext');
+
+const RESOURCES = ['application_resume', 'cover_letter', 'profile_resume'];
+
+// Look up the stored file for a resource, or null if there is none
+const findFile = async (resource, resourceId) => {
+  if (!mongoose.Types.ObjectId.isValid(resourceId)) return null;
+
+  if (resource === 'profile_resume') {
+    const profile = await JobSeekerProfile.findOne({ user: resourceId });
+    if (!profile?.resumeUrl) return null;
+    return {
+      url: profile.resumeUrl,
+      fileName: `resume-${profile.firstName}-${profile.lastName}.pdf`,
+      applicantId: profile.user
+    };
+  }
+
+  const application = await Application.findById(resourceId);
+  if (!application) return null;
+
+  if (resource === 'application_resume') {
+    if (!application.resumeUrl) return null;
+    return {
+      url: application.resumeUrl,
+      fileName: `resume-${application.profileSnapshot?.firstName || 'applicant'}.pdf`,
+      applicantId: application.jobSeeker,
+      employerId: application.employer
+    };
+  }
+
+  if (!application.coverLetter?.fileUrl) return null;
+  return {
+    url: application.coverLetter.fileUrl,
+    fileName: application.coverLetter.fileName || 'cover-letter.pdf',
+    applicantId: application.jobSeeker,
+    employerId: application.employer
+  };
+};
+
+// Applicants can access their own files; employers those of applications to their company
+const canAccessFile = async (req, resource, file) => {
+  if (file.applicantId.toString() === req.user._id.toString()) {
+    return true;
+  }
+
+  if (!req.employer || !req.employer.permissions.includes('view_applications')) {
+    return false;
+  }
+
+  if (resource === 'profile_resume') {
+    // Employer must have received an application from this job seeker
+    return !!(await Application.exists({
+      jobSeeker: file.applicantId,
+      employer: req.employer.companyId
+    }));
+  }
+
+  return belongsToCompany(req, file.employerId);
+};
+
+exports.createDownloadLink = async (req, res) => {
+  try {
+    const { resource, id } = req.body;
+
+    if (!RESOURCES.includes(resource) || !id) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide an id and a resource of: ${RESOURCES.join(', ')}`
+      });
+    }
+
+    const file = await findFile(resource, id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!(await canAccessFile(req, resource, file))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this file'
+      });
+    }
+
+    const token = generateFileToken(resource, id, req.user._id);
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.json({
+      success: true,
+      data: {
+        url: `${baseUrl}/api/files/download/${token}`,
+        expiresIn: process.env.FILE_LINK_EXPIRE || '5m'
+      }
+    });
+  } catch (error) {
+    console.error('Create download link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating download link',
+      error: error.message
+    });
+  }
+};
+
+// Content-Disposition with an ASCII fallback name and the original name
+// in UTF-8 (RFC 6266), since names like Burmese ones are not valid in a plain header
+const contentDisposition = (fileName) => {
+  const fallback = fileName
+    .normalize('NFKD')
+    .replace(/[^\x20-\x7e]/g, '')
+    .replace(/["\\]/g, '')
+    .trim() || 'download';
+  const encoded = encodeURIComponent(fileName)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+exports.downloadFile = async (req, res) => {
+  let upstream;
+  try {
+    const decoded = verifyFileToken(req.params.token);
+
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    const file = await findFile(decoded.resource, decoded.rid);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // Stream the file through the API so it is served with private, no-store headers
+    const response = await axios.get(file.url, { responseType: 'stream' });
+    upstream = response.data;
+
+    res.set({
+      'Content-Type': response.headers['content-type'] || 'application/octet-stream',
+      'Content-Disposition': contentDisposition(file.fileName),
+      'Cache-Control': 'private, no-store',
+      'Referrer-Policy': 'no-referrer'
+    });
+    if (response.headers['content-length']) {
+      res.set('Content-Length', response.headers['content-length']);
+    }
+
+    // Stop downloading when the client goes away or storage fails mid-stream
+    res.on('close', () => upstream.destroy());
+    upstream.on('error', (streamError) => {
+      console.error('Download file stream error:', streamError.message);
+      res.destroy(streamError);
+    });
+    upstream.pipe(res);
+  } catch (error) {
+    console.error('Download file error:', error.message);
+    if (upstream) {
+      upstream.destroy();
+    }
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(502).json({
+      success: false,
+      message: 'Error retrieving file'
+    });
+  }
+};
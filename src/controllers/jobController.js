@@ -1,6 +1,129 @@
 const Job = require('../models/Job');
-const EmployerProfile = require('../models/EmployerProfile');
+const JobCategory = require('../models/JobCategory');
 const JobSeekerProfile = require('../models/JobSeekerProfile');
+const { belongsToCompany } = require('../middleware/employerContext');
+const { validateQuestions, mergeQuestions } = require('../utils/screening');
+const { createQueryBuilder, getPagination } = require('../utils/queryBuilder');
+const { findWithDistance } = require('../utils/geo');
+const { SALARY_BANDS, buildJobSearch } = require('../utils/jobSearch');
+const { matchJobAlerts } = require('../utils/jobAlerts');
+const { scoreJobsForProfile } = require('../utils/jobRecommendation');
+const { toJobFeedXml, toJobPostingJsonLd } = require('../utils/jobFeed');
+const { IMPORT_STATUSES, parseImport, getImportRef, validateImportRow } = require('../utils/jobImport');
+const { findCategory, resolveCategoryFilter, buildCategoryTree } = require('../utils/jobCategories');
+const { loadRiskContext, scoreJobRisk, assessJobRisk, addRiskCandidate } = require('../utils/jobRisk');
+const { isPreModerated, isMaterialEdit, requiresReview, holdForReview } = require('../utils/moderation');
+const { recordItemView, getItemTimeSeries } = require('../utils/itemViews');
+
+// Jobs with a future publish time wait as 'scheduled' until the job scheduler publishes them
+const resolvePublishStatus = (status, publishAt) => {
+  if (publishAt && new Date(publishAt) > new Date() && (status === 'active' || status === 'scheduled')) {
+    return 'scheduled';
+  }
+  return status === 'scheduled' ? 'active' : status;
+};
+
+const invalidSchedule = (publishAt, applicationDeadline) => {
+  return publishAt && applicationDeadline && new Date(publishAt) >= new Date(applicationDeadline);
+};
+
+// Accept a category id or slug; null or '' clears the category
+const resolveJobCategory = async (value) => {
+  if (value === undefined) return {};
+  if (value === null || value === '') return { category: null };
+  const category = await findCategory(value);
+  return category ? { category: category._id } : { error: `Unknown category: ${value}` };
+};
+
+// Risk scores and reasons are for admins only
+const withoutRisk = (job) => {
+  const data = job.toObject();
+  delete data.risk;
+  return data;
+};
+
+// The fields risk scoring looks at
+const RISK_FIELDS = ['title', 'description', 'location', 'salary'];
+
+const FACET_LIMIT = 20;
+const FEED_MAX_JOBS = 10000;
+const FEED_EMPLOYER_FIELDS = 'companyName logo website';
+
+// Feeds are public and change slowly, so let browsers, CDNs and crawlers cache them
+const setFeedCacheHeaders = (res, lastModified) => {
+  res.set('Cache-Control', `public, max-age=${parseInt(process.env.JOB_FEED_CACHE_SECONDS) || 900}`);
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+};
+
+const countBy = (match, field, limit) => {
+  const pipeline = [
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+  if (limit) {
+    pipeline.push({ $limit: limit });
+  }
+  return Job.aggregate(pipeline);
+};
+
+// Count results per facet value, each facet using every filter except its own.
+// Every count starts with its own $match so the jobType, city and skills indexes apply.
+const getJobFacets = async (filters) => {
+  const [categories, jobTypes, cities, remote, salaryBands, skills] = await Promise.all([
+    countBy(filters.build('category'), 'category', FACET_LIMIT),
+    countBy(filters.build('jobType'), 'jobType'),
+    countBy(filters.build('city'), 'location.city', FACET_LIMIT),
+    Job.aggregate([
+      { $match: filters.build('remote') },
+      { $group: { _id: { $eq: ['$location.remote', true] }, count: { $sum: 1 } } },
+    ]),
+    Job.aggregate([
+      { $match: { $and: [filters.build('salaryBand'), { 'normalizedSalary.min': { $gte: 0 } }] } },
+      {
+        $bucket: {
+          groupBy: '$normalizedSalary.min',
+          boundaries: [...SALARY_BANDS.map(band => band.min), Number.MAX_SAFE_INTEGER],
+          default: 'other',
+          output: { count: { $sum: 1 } },
+        },
+      },
+    ]),
+    Job.aggregate([
+      { $match: filters.build('skills') },
+      { $unwind: '$requirements.skills' },
+      { $group: { _id: '$requirements.skills', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_LIMIT },
+    ]),
+  ]);
+
+  const toFacet = (rows) => rows.map(row => ({ value: row._id, count: row.count }));
+
+  const categoryNames = await JobCategory.find({ _id: { $in: categories.map(row => row._id) } }).select('name slug');
+  const categoriesById = new Map(categoryNames.map(category => [category._id.toString(), category]));
+
+  return {
+    category: categories
+      .filter(row => categoriesById.has(row._id.toString()))
+      .map(row => ({
+        value: categoriesById.get(row._id.toString()).slug,
+        name: categoriesById.get(row._id.toString()).name,
+        count: row.count,
+      })),
+    jobType: toFacet(jobTypes),
+    city: toFacet(cities),
+    remote: toFacet(remote.sort((a, b) => b._id - a._id)),
+    salaryBand: SALARY_BANDS.map(band => ({
+      value: band.value,
+      count: salaryBands.find(row => row._id === band.min)?.count || 0,
+    })),
+    skills: toFacet(skills),
+  };
+};
 
 exports.createJob = async (req, res) => {
   try {
@@ -12,31 +135,74 @@ exports.createJob = async (req, res) => {
       location,
       salary,
       benefits,
+      screeningQuestions,
       status,
+      publishAt,
       applicationDeadline,
     } = req.body;
 
-    // Get employer profile
-    const employerProfile = await EmployerProfile.findOne({ user: req.user._id });
+    const { category, error: categoryError } = await resolveJobCategory(req.body.category);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError,
+      });
+    }
+
+    if (invalidSchedule(publishAt, applicationDeadline)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Publish date must be before the application deadline',
+      });
+    }
+
+    const questionsError = screeningQuestions !== undefined && validateQuestions(screeningQuestions);
+    if (questionsError) {
+      return res.status(400).json({
+        success: false,
+        message: questionsError,
+      });
+    }
+
+    // Risky postings, and all new postings under pre-moderation, wait for an admin
+    const risk = await assessJobRisk({ title, description, location, salary }, req.employer.companyId);
+    const reviewRequired = await requiresReview('job', { flagged: risk.flagged });
 
+    // Jobs belong to the company account; postedBy records the teammate
     const job = await Job.create({
-      employer: req.user._id,
-      employerProfile: employerProfile?._id,
+      employer: req.employer.companyId,
+      employerProfile: req.employer.profile?._id,
+      postedBy: req.user._id,
       title,
       description,
+      category,
       requirements,
       jobType,
       location,
       salary,
       benefits,
-      status: status || 'active',
+      screeningQuestions,
+      status: holdForReview('job', resolvePublishStatus(status || 'active', publishAt), reviewRequired),
+      risk,
+      moderation: { reviewRequired },
+      publishAt,
       applicationDeadline,
     });
 
+    // Saved search alerts run in the background
+    if (job.status === 'active') {
+      matchJobAlerts(job._id);
+    }
+
+    const messages = {
+      scheduled: 'Job scheduled successfully',
+      pending_review: 'Job submitted for review. It will be published once approved.',
+    };
+
     res.status(201).json({
       success: true,
-      message: 'Job posted successfully',
-      data: job,
+      message: messages[job.status] || 'Job posted successfully',
+      data: withoutRisk(job),
     });
   } catch (error) {
     console.error('Create job error:', error);
@@ -50,101 +216,65 @@ exports.createJob = async (req, res) => {
 
 exports.getAllJobs = async (req, res) => {
   try {
-    const {
-      search,
-      jobType,
-      location,
-      remote,
-      minSalary,
-      maxSalary,
-      skills,
-      sort,
-      page = 1,
-      limit = 10,
-    } = req.query;
-
-    // Build query - only show active jobs with valid deadline
-    const query = {
-      status: 'active',
-      $or: [
-        { applicationDeadline: { $gte: new Date() } }, // Deadline is in the future
-        { applicationDeadline: { $exists: false } },   // No deadline set
-        { applicationDeadline: null }                   // Deadline is null
-      ]
-    };
-
-    // Text search
-    if (search) {
-      query.$text = { $search: search };
-    }
-
-    // Job type filter
-    if (jobType) {
-      const types = jobType.split(',');
-      query.jobType = { $in: types };
-    }
+    const { search, sort, facets } = req.query;
 
-    // Location filter
-    if (location) {
-      query.$or = [
-        { 'location.city': { $regex: location, $options: 'i' } },
-        { 'location.state': { $regex: location, $options: 'i' } },
-        { 'location.country': { $regex: location, $options: 'i' } },
-      ];
-    }
-
-    // Remote filter
-    if (remote === 'true') {
-      query['location.remote'] = true;
+    const { filters, geo, error } = await buildJobSearch(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
     }
 
-    // Salary range filter
-    if (minSalary) {
-      query['salary.min'] = { $gte: parseInt(minSalary) };
-    }
-    if (maxSalary) {
-      query['salary.max'] = { $lte: parseInt(maxSalary) };
+    if (sort === 'distance' && search) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sorting by distance cannot be combined with a keyword search',
+      });
     }
 
-    // Skills filter
-    if (skills) {
-      const skillsArray = skills.split(',').map(s => s.trim());
-      query['requirements.skills'] = { $in: skillsArray };
-    }
+    const query = filters.build();
 
     // Sorting
     let sortOption = { postedDate: -1 }; // Default: newest first
     if (sort === 'salary_high') {
-      sortOption = { 'salary.max': -1 };
+      sortOption = { 'normalizedSalary.max': -1 };
     } else if (sort === 'salary_low') {
-      sortOption = { 'salary.min': 1 };
+      sortOption = { 'normalizedSalary.min': 1 };
     } else if (sort === 'oldest') {
       sortOption = { postedDate: 1 };
+    } else if (sort === 'distance' && geo) {
+      sortOption = 'distance';
     }
 
     // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { page, limit, skip } = getPagination(req.query);
 
-    const jobs = await Job.find(query)
-      .populate({
-        path: 'employerProfile',
-        select: 'companyName logo industry companySize',
-      })
-      .sort(sortOption)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
+    const jobs = await findWithDistance(Job, {
+      filter: sortOption === 'distance' ? filters.build('geo') : query,
+      geo,
+      field: 'location.coordinates',
+      sort: sortOption,
+      skip,
+      limit,
+      populate: [
+        { path: 'employerProfile', select: 'companyName logo industry companySize' },
+        { path: 'category', select: 'name slug' },
+      ],
+      exclude: ['moderation'],
+    });
 
     const total = await Job.countDocuments(query);
 
     res.status(200).json({
       success: true,
       data: jobs,
+      facets: facets === 'false' ? undefined : await getJobFacets(filters),
       pagination: {
         total,
-        page: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
-        limit: parseInt(limit),
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
       },
     });
   } catch (error) {
@@ -157,15 +287,56 @@ exports.getAllJobs = async (req, res) => {
   }
 };
 
+// Category tree with the number of open jobs in each category
+exports.getJobCategories = async (req, res) => {
+  try {
+    const openJobs = createQueryBuilder({ status: 'active', category: { $ne: null } })
+      .notExpired('applicationDeadline')
+      .build();
+
+    const [allCategories, counts] = await Promise.all([
+      JobCategory.find().lean(),
+      Job.aggregate([
+        { $match: openJobs },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countMap = Object.fromEntries(counts.map(row => [row._id.toString(), row.count]));
+
+    // Hide inactive categories along with everything below them
+    const inactive = new Set(allCategories.filter(c => !c.isActive).map(c => c._id.toString()));
+    const categories = allCategories.filter(c =>
+      !inactive.has(c._id.toString()) && !c.ancestors.some(id => inactive.has(id.toString()))
+    );
+
+    res.status(200).json({
+      success: true,
+      data: buildCategoryTree(categories, countMap),
+    });
+  } catch (error) {
+    console.error('Get job categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job categories',
+      error: error.message,
+    });
+  }
+};
+
 exports.getJobById = async (req, res) => {
   try {
+    // Moderation notes stay internal; risk is never selected by default
     const job = await Job.findById(req.params.id)
+      .select('-moderation')
       .populate({
         path: 'employerProfile',
         select: 'companyName logo industry companySize description website location benefits',
-      });
+      })
+      .populate('category', 'name slug ancestors');
 
-    if (!job) {
+    // Held jobs are only visible to admins and in the employer's own job list
+    if (!job || job.status === 'pending_review') {
       return res.status(404).json({
         success: false,
         message: 'Job not found',
@@ -186,11 +357,224 @@ exports.getJobById = async (req, res) => {
   }
 };
 
+// Fields copied from a validated import row onto an existing job.
+// The row was merged into the stored job, so sub-objects keep the columns it left out.
+const importUpdate = (job, fields) => {
+  const update = {};
+  fields.forEach(field => {
+    update[field] = job[field];
+  });
+  // Derived by the validate hooks
+  if (fields.includes('salary')) update.normalizedSalary = job.normalizedSalary;
+  // A new deadline gets a new expiry reminder
+  if (fields.includes('applicationDeadline')) update.expiryReminderSentAt = null;
+  return update;
+};
+
+// Import jobs from CSV or JSON. Rows with an externalRef already used by the
+// company update that job; other valid rows create new jobs.
+exports.importJobs = async (req, res) => {
+  try {
+    const options = { ...req.body, ...req.query };
+    const dryRun = ['true', '1'].includes(String(options.dryRun));
+    const status = options.status || 'draft';
+
+    if (!IMPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${IMPORT_STATUSES.join(', ')}`,
+      });
+    }
+
+    const { jobs: rows, error } = parseImport({ file: req.file, body: req.body });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const defaults = {
+      employer: req.employer.companyId,
+      employerProfile: req.employer.profile?._id,
+      postedBy: req.user._id,
+      status,
+    };
+
+    const categories = new Map();
+    (await JobCategory.find().select('slug')).forEach(category => {
+      categories.set(category.slug, category._id);
+      categories.set(category._id.toString(), category._id);
+    });
+
+    const refs = rows.map(getImportRef).filter(Boolean);
+    const existingJobs = refs.length > 0
+      ? await Job.find({ employer: req.employer.companyId, externalRef: { $in: refs } }).lean()
+      : [];
+    const existingByRef = new Map(existingJobs.map(job => [job.externalRef, job]));
+
+    const validated = [];
+    for (const row of rows) {
+      validated.push(await validateImportRow(row, defaults, categories, existingByRef.get(getImportRef(row))));
+    }
+    const preModerated = await isPreModerated('job');
+
+    // One risk context for the whole file; rows are also compared with earlier rows
+    const riskContext = await loadRiskContext(req.employer.companyId, {
+      exclude: existingJobs.map(job => job._id),
+    });
+
+    const results = [];
+    const operations = [];
+    const created = [];
+    const seenRefs = new Map();
+
+    validated.forEach(({ job, fields, errors }, index) => {
+      const row = index + 1;
+      const externalRef = job?.externalRef;
+
+      if (externalRef && seenRefs.has(externalRef)) {
+        errors = [`Duplicate externalRef "${externalRef}" (also in row ${seenRefs.get(externalRef)})`];
+      }
+      if (errors) {
+        results.push({ row, externalRef: externalRef || rows[index]?.externalRef, action: 'error', errors });
+        return;
+      }
+      if (externalRef) {
+        seenRefs.set(externalRef, row);
+      }
+
+      const existing = externalRef && existingByRef.get(externalRef);
+      if (existing) {
+        const update = importUpdate(job, fields);
+        let status = existing.status;
+
+        if (isMaterialEdit('job', update)) {
+          const merged = { _id: existing._id };
+          RISK_FIELDS.forEach(field => {
+            merged[field] = job[field];
+          });
+          update.risk = scoreJobRisk(merged, riskContext);
+          update['moderation.reviewRequired'] = preModerated || update.risk.flagged || !!existing.moderation?.rejectedAt;
+          status = holdForReview('job', existing.status, update['moderation.reviewRequired']);
+          if (status !== existing.status) update.status = status;
+          addRiskCandidate(riskContext, merged);
+        }
+
+        operations.push({
+          updateOne: {
+            filter: { _id: existing._id, employer: req.employer.companyId },
+            update: { $set: update },
+          },
+        });
+        results.push({ row, externalRef, action: 'update', jobId: existing._id, title: job.title, status });
+      } else {
+        job.risk = scoreJobRisk(job, riskContext);
+        job.moderation = { reviewRequired: preModerated || job.risk.flagged };
+        job.status = holdForReview('job', job.status, job.moderation.reviewRequired);
+        addRiskCandidate(riskContext, job);
+
+        operations.push({ insertOne: { document: job.toObject() } });
+        created.push(job);
+        results.push({ row, externalRef, action: 'create', jobId: job._id, title: job.title, status: job.status });
+      }
+    });
+
+    const summary = {
+      total: rows.length,
+      created: created.length,
+      updated: operations.length - created.length,
+      failed: results.filter(result => result.action === 'error').length,
+      heldForReview: results.filter(result => result.status === 'pending_review').length,
+    };
+
+    if (!dryRun && operations.length > 0) {
+      await Job.bulkWrite(operations, { ordered: false });
+
+      matchJobAlerts(created.filter(job => job.status === 'active').map(job => job._id));
+    }
+
+    res.status(operations.length > 0 ? 200 : 400).json({
+      success: operations.length > 0,
+      message: dryRun
+        ? 'Import preview - no jobs were saved'
+        : `${summary.created} jobs created, ${summary.updated} updated, ${summary.failed} failed`,
+      dryRun,
+      summary,
+      data: results,
+    });
+  } catch (error) {
+    console.error('Import jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing jobs',
+      error: error.message,
+    });
+  }
+};
+
+// Public XML feed of open jobs for job aggregators
+exports.getJobFeed = async (req, res) => {
+  try {
+    const query = createQueryBuilder({ status: 'active' })
+      .notExpired('applicationDeadline')
+      .build();
+
+    const jobs = await Job.find(query)
+      .select('title description jobType location salary postedDate applicationDeadline employerProfile updatedAt')
+      .populate('employerProfile', FEED_EMPLOYER_FIELDS)
+      .sort({ postedDate: -1 })
+      .limit(FEED_MAX_JOBS)
+      .lean();
+
+    const lastModified = jobs.reduce((latest, job) => Math.max(latest, new Date(job.updatedAt).getTime()), 0);
+
+    // Express answers conditional requests with 304 using the ETag of the body
+    setFeedCacheHeaders(res, lastModified || undefined);
+    res.type('application/xml').send(toJobFeedXml(jobs, { lastBuildDate: lastModified || new Date() }));
+  } catch (error) {
+    console.error('Job feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building job feed',
+      error: error.message,
+    });
+  }
+};
+
+// schema.org JobPosting for one open job
+exports.getJobJsonLd = async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, status: 'active' })
+      .select('title description jobType location salary requirements.skills benefits postedDate applicationDeadline employerProfile updatedAt')
+      .populate('employerProfile', FEED_EMPLOYER_FIELDS)
+      .lean();
+
+    // Draft, scheduled, paused and closed jobs are not syndicated
+    if (!job || (job.applicationDeadline && job.applicationDeadline < new Date())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    setFeedCacheHeaders(res, job.updatedAt);
+    res.type('application/ld+json').send(JSON.stringify(toJobPostingJsonLd(job)));
+  } catch (error) {
+    console.error('Job JSON-LD error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job',
+      error: error.message,
+    });
+  }
+};
+
 exports.getEmployerJobs = async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
 
-    const query = { employer: req.user._id };
+    const query = { employer: req.employer.companyId };
 
     if (status && status !== 'all') {
       query.status = status;
@@ -199,6 +583,7 @@ exports.getEmployerJobs = async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const jobs = await Job.find(query)
+      .select('+screeningQuestions.knockout')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
@@ -208,7 +593,7 @@ exports.getEmployerJobs = async (req, res) => {
 
     // Get stats
     const stats = await Job.aggregate([
-      { $match: { employer: req.user._id } },
+      { $match: { employer: req.employer.companyId } },
       {
         $group: {
           _id: '$status',
@@ -220,6 +605,8 @@ exports.getEmployerJobs = async (req, res) => {
     const statsObj = {
       total: 0,
       active: 0,
+      scheduled: 0,
+      pending_review: 0,
       draft: 0,
       paused: 0,
       closed: 0,
@@ -253,7 +640,7 @@ exports.getEmployerJobs = async (req, res) => {
 
 exports.updateJob = async (req, res) => {
   try {
-    let job = await Job.findById(req.params.id);
+    const job = await Job.findById(req.params.id).select('+screeningQuestions.knockout');
 
     if (!job) {
       return res.status(404).json({
@@ -262,8 +649,8 @@ exports.updateJob = async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (job.employer.toString() !== req.user._id.toString()) {
+    // Check company ownership
+    if (!belongsToCompany(req, job.employer)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this job',
@@ -278,30 +665,94 @@ exports.updateJob = async (req, res) => {
       location,
       salary,
       benefits,
+      screeningQuestions,
       status,
+      publishAt,
       applicationDeadline,
     } = req.body;
 
-    job = await Job.findByIdAndUpdate(
-      req.params.id,
-      {
-        title,
-        description,
-        requirements,
-        jobType,
-        location,
-        salary,
-        benefits,
-        status,
-        applicationDeadline,
-      },
-      { new: true, runValidators: true }
+    const questionsError = screeningQuestions !== undefined && validateQuestions(screeningQuestions);
+    if (questionsError) {
+      return res.status(400).json({
+        success: false,
+        message: questionsError,
+      });
+    }
+
+    const { category, error: categoryError } = await resolveJobCategory(req.body.category);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError,
+      });
+    }
+
+    if ((publishAt || applicationDeadline) &&
+      invalidSchedule(publishAt || job.publishAt, applicationDeadline || job.applicationDeadline)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Publish date must be before the application deadline',
+      });
+    }
+
+    // Material edits are re-assessed and may need a new approval. Employers cannot
+    // release a held job, but an edit that no longer needs review publishes it again.
+    const materialEdit = isMaterialEdit('job', req.body);
+    let risk;
+    let reviewRequired = !!job.moderation?.reviewRequired;
+    if (materialEdit) {
+      risk = await assessJobRisk({
+        _id: job._id,
+        title: title ?? job.title,
+        description: description ?? job.description,
+        location: location ?? job.location,
+        salary: salary ?? job.salary,
+      }, job.employer);
+      reviewRequired = await requiresReview('job', { flagged: risk.flagged, previous: job.moderation });
+    }
+    const isHeld = job.status === 'pending_review';
+    const requestedStatus = resolvePublishStatus(
+      status || (isHeld ? 'active' : job.status),
+      publishAt || (['scheduled', 'pending_review'].includes(job.status) && job.publishAt)
     );
 
+    const wasInactive = job.status !== 'active';
+
+    // Saved through the document so the validate hooks geocode the location
+    // and normalize the salary
+    const updates = {
+      title,
+      description,
+      category,
+      requirements,
+      jobType,
+      location,
+      salary,
+      benefits,
+      screeningQuestions: screeningQuestions && mergeQuestions(job.screeningQuestions, screeningQuestions),
+      status: holdForReview('job', requestedStatus, reviewRequired),
+      risk,
+      'moderation.reviewRequired': materialEdit ? reviewRequired : undefined,
+      publishAt,
+      applicationDeadline,
+      // A new deadline gets a new expiry reminder
+      expiryReminderSentAt: applicationDeadline !== undefined ? null : undefined,
+    };
+    Object.entries(updates).forEach(([path, value]) => {
+      if (value !== undefined) job.set(path, value);
+    });
+    await job.save();
+
+    if (job.status === 'active' && wasInactive) {
+      matchJobAlerts(job._id);
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Job updated successfully',
-      data: job,
+      message: job.status === 'pending_review'
+        ? 'Job updated and held for review. It will be published once approved.'
+        : 'Job updated successfully',
+      data: withoutRisk(job),
     });
   } catch (error) {
     console.error('Update job error:', error);
@@ -324,8 +775,8 @@ exports.deleteJob = async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (job.employer.toString() !== req.user._id.toString()) {
+    // Check company ownership
+    if (!belongsToCompany(req, job.employer)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this job',
@@ -361,8 +812,8 @@ exports.toggleJobStatus = async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (job.employer.toString() !== req.user._id.toString()) {
+    // Check company ownership
+    if (!belongsToCompany(req, job.employer)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this job',
@@ -378,12 +829,19 @@ exports.toggleJobStatus = async (req, res) => {
       });
     }
 
-    job.status = status;
+    const wasInactive = job.status !== 'active';
+    job.status = holdForReview('job', status, job.moderation?.reviewRequired);
     await job.save();
 
+    if (job.status === 'active' && wasInactive) {
+      matchJobAlerts(job._id);
+    }
+
     res.status(200).json({
       success: true,
-      message: `Job status changed to ${status}`,
+      message: job.status === 'pending_review'
+        ? 'Job is held for review and will be published once approved'
+        : `Job status changed to ${status}`,
       data: job,
     });
   } catch (error) {
@@ -396,13 +854,84 @@ exports.toggleJobStatus = async (req, res) => {
   }
 };
 
+exports.extendJob = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    // Check company ownership
+    if (!belongsToCompany(req, job.employer)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this job',
+      });
+    }
+
+    const { applicationDeadline, days } = req.body;
+    let deadline;
+
+    if (applicationDeadline) {
+      deadline = new Date(applicationDeadline);
+    } else if (parseInt(days) > 0) {
+      // Extend from the current deadline, or from now if it has already passed
+      const from = Math.max(Date.now(), job.applicationDeadline ? job.applicationDeadline.getTime() : 0);
+      deadline = new Date(from + parseInt(days) * 24 * 60 * 60 * 1000);
+    }
+
+    if (!deadline || isNaN(deadline.getTime()) || deadline <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a future applicationDeadline or a positive number of days',
+      });
+    }
+
+    if (invalidSchedule(job.status === 'scheduled' && job.publishAt, deadline)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Publish date must be before the application deadline',
+      });
+    }
+
+    job.applicationDeadline = deadline;
+    job.expiryReminderSentAt = undefined;
+
+    // Reopen jobs that were closed only because they expired
+    const reopened = job.status === 'closed' && job.expiredAt;
+    if (reopened) {
+      job.status = 'active';
+      job.expiredAt = undefined;
+    }
+
+    await job.save();
+
+    if (reopened) {
+      matchJobAlerts(job._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Job deadline extended successfully',
+      data: job,
+    });
+  } catch (error) {
+    console.error('Extend job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error extending job',
+      error: error.message,
+    });
+  }
+};
+
 exports.recordJobView = async (req, res) => {
   try {
-    const job = await Job.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { viewCount: 1 } },
-      { new: true }
-    );
+    const job = await Job.findById(req.params.id).select('viewCount');
 
     if (!job) {
       return res.status(404).json({
@@ -411,9 +940,13 @@ exports.recordJobView = async (req, res) => {
       });
     }
 
+    // Bots and repeat views within the dedupe window are not counted
+    const counted = await recordItemView('job', job._id, req);
+
     res.status(200).json({
       success: true,
-      viewCount: job.viewCount,
+      counted,
+      viewCount: job.viewCount + (counted ? 1 : 0),
     });
   } catch (error) {
     res.status(500).json({
@@ -423,9 +956,54 @@ exports.recordJobView = async (req, res) => {
   }
 };
 
+// Daily views, unique viewers, bookmarks and applications for the owning company
+exports.getJobAnalytics = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('employer title status viewCount applicationCount');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    // Check company ownership
+    if (!belongsToCompany(req, job.employer)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view analytics for this job',
+      });
+    }
+
+    const analytics = await getItemTimeSeries('job', job._id, req.query.days);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        job: {
+          _id: job._id,
+          title: job.title,
+          status: job.status,
+          viewCount: job.viewCount,
+          applicationCount: job.applicationCount,
+        },
+        ...analytics,
+      },
+    });
+  } catch (error) {
+    console.error('Get job analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job analytics',
+      error: error.message,
+    });
+  }
+};
+
 exports.getRecommendedJobs = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
 
     const profile = await JobSeekerProfile.findOne({ user: req.user._id });
 
@@ -433,22 +1011,24 @@ exports.getRecommendedJobs = async (req, res) => {
       return res.status(200).json({
         success: true,
         data: [],
-        pagination: { total: 0, page: 1, pages: 0, limit: parseInt(limit) },
+        pagination: { total: 0, page: 1, pages: 0, limit },
         message: 'Add skills to your profile to get job recommendations',
       });
     }
 
-    const query = {
-      status: 'active',
-      'requirements.skills': { $in: profile.skills },
-      $or: [
-        { applicationDeadline: { $gte: new Date() } },
-        { applicationDeadline: { $exists: false } },
-        { applicationDeadline: null }
-      ]
-    };
+    const categories = await resolveCategoryFilter(req.query.category);
+    if (categories?.error) {
+      return res.status(400).json({
+        success: false,
+        message: categories.error,
+      });
+    }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const query = createQueryBuilder({ status: 'active' })
+      .notExpired('applicationDeadline')
+      .anyOf('requirements.skills', profile.skills)
+      .where('category', categories && { category: { $in: categories.ids } })
+      .build();
 
     const jobs = await Job.find(query)
       .populate({
@@ -456,38 +1036,30 @@ exports.getRecommendedJobs = async (req, res) => {
         select: 'companyName logo industry companySize',
       })
       .sort({ postedDate: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
       .lean();
 
-    // Calculate match score for each job
-    const jobsWithScore = jobs.map(job => {
-      const jobSkills = job.requirements?.skills || [];
-      const matchingSkills = jobSkills.filter(skill =>
-        profile.skills.some(userSkill =>
-          userSkill.toLowerCase() === skill.toLowerCase()
-        )
-      );
-      return {
-        ...job,
-        matchScore: jobSkills.length > 0 ? Math.round((matchingSkills.length / jobSkills.length) * 100) : 0,
-        matchingSkills,
-      };
-    });
+    // Same scoring as /api/recommendations (skills, experience, location, salary...).
+    // All matching jobs are ranked before paging, so pages follow the score.
+    const scored = await scoreJobsForProfile(jobs, profile);
+    const jobsWithScore = scored.slice(skip, skip + limit).map(({ job, matchScore, matchReasons }) => ({
+      ...job,
+      matchScore,
+      matchReasons,
+      matchingSkills: (job.requirements?.skills || []).filter(skill =>
+        profile.skills.some(userSkill => userSkill.toLowerCase() === skill.toLowerCase())
+      ),
+    }));
 
-    // Sort by match score
-    jobsWithScore.sort((a, b) => b.matchScore - a.matchScore);
-
-    const total = await Job.countDocuments(query);
+    const total = scored.length;
 
     res.status(200).json({
       success: true,
       data: jobsWithScore,
       pagination: {
         total,
-        page: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
-        limit: parseInt(limit),
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
       },
     });
   } catch (error) {
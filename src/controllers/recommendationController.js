@@ -1,9 +1,20 @@
 const { getJobRecommendations, getSimilarJobs } = require('../utils/jobRecommendation');
+const { resolveCategoryFilter } = require('../utils/jobCategories');
 
 exports.getRecommendations = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const recommendations = await getJobRecommendations(req.user.id, limit);
+
+    // ?category=<slug or id> limits recommendations to that category and its subcategories
+    const categories = await resolveCategoryFilter(req.query.category);
+    if (categories?.error) {
+      return res.status(400).json({
+        success: false,
+        message: categories.error
+      });
+    }
+
+    const recommendations = await getJobRecommendations(req.user.id, limit, { categoryIds: categories?.ids });
 
     res.json({
       success: true,
@@ -0,0 +1,109 @@
+const Report = require('../models/Report');
+const { REPORT_TARGETS, REPORT_REASONS, loadReportTarget } = require('../utils/reports');
+const { getPagination } = require('../utils/queryBuilder');
+
+exports.createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    if (!REPORT_TARGETS[targetType]) {
+      return res.status(400).json({
+        success: false,
+        message: `Target type must be one of: ${Object.keys(REPORT_TARGETS).join(', ')}`
+      });
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    const target = await loadReportTarget(targetType, targetId);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'The reported item was not found'
+      });
+    }
+
+    if (target.owner?.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own content'
+      });
+    }
+
+    const report = await Report.create({
+      reporter: req.user.id,
+      targetType,
+      target: target.doc._id,
+      reason,
+      details
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your report. Our team will review it.',
+      data: report
+    });
+  } catch (error) {
+    console.error('Create report error:', error);
+
+    // One open report per reporter and target
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this. Our team is reviewing it.'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting report',
+      error: error.message
+    });
+  }
+};
+
+exports.getMyReports = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+    const query = { reporter: req.user.id };
+
+    const [reports, total] = await Promise.all([
+      Report.find(query)
+        .select('-resolution.resolvedBy -resolution.note')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Report.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get my reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reports',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,215 @@
+const SavedSearch = require('../models/SavedSearch');
+const { buildJobSearch, pickSearchParams } = require('../utils/jobSearch');
+
+const MAX_SAVED_SEARCHES = 20;
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+const CHANNELS = ['in_app', 'email'];
+
+// Alert bookkeeping is internal to the matcher
+const HIDDEN_FIELDS = '-pendingJobs -notifiedJobs';
+
+// Check the name, query, frequency and channels sent for a saved search
+const validateSavedSearch = async ({ name, query, frequency, channels }, isUpdate = false) => {
+  if (!isUpdate || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'Please provide a name for the search';
+    }
+  }
+
+  if (!isUpdate || query !== undefined) {
+    if (!query || typeof query !== 'object' || Object.keys(pickSearchParams(query)).length === 0) {
+      return 'Please provide at least one search filter';
+    }
+    const { error } = await buildJobSearch(pickSearchParams(query));
+    if (error) {
+      return error;
+    }
+  }
+
+  if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+    return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+
+  if (channels !== undefined &&
+    (!Array.isArray(channels) || channels.length === 0 || channels.some(channel => !CHANNELS.includes(channel)))) {
+    return `Channels must be one or more of: ${CHANNELS.join(', ')}`;
+  }
+
+  return null;
+};
+
+exports.getSavedSearches = async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user.id })
+      .select(HIDDEN_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: searches.length,
+      data: searches
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching saved searches',
+      error: error.message
+    });
+  }
+};
+
+exports.createSavedSearch = async (req, res) => {
+  try {
+    const { name, query, frequency, channels } = req.body;
+
+    const validationError = await validateSavedSearch(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user.id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const search = await SavedSearch.create({
+      user: req.user.id,
+      name: name.trim(),
+      query: pickSearchParams(query),
+      frequency,
+      channels: channels && [...new Set(channels)]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: await SavedSearch.findById(search._id).select(HIDDEN_FIELDS)
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving search',
+      error: error.message
+    });
+  }
+};
+
+exports.updateSavedSearch = async (req, res) => {
+  try {
+    const { name, query, frequency, channels } = req.body;
+
+    const validationError = await validateSavedSearch(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const update = {};
+    if (name !== undefined) update.name = name.trim();
+    if (query !== undefined) update.query = pickSearchParams(query);
+    if (frequency !== undefined) update.frequency = frequency;
+    if (channels !== undefined) update.channels = [...new Set(channels)];
+
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      update,
+      { new: true, runValidators: true }
+    ).select(HIDDEN_FIELDS);
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: search
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating saved search',
+      error: error.message
+    });
+  }
+};
+
+// Pause or resume alerts for a saved search
+const setSavedSearchActive = (isActive) => async (req, res) => {
+  try {
+    const update = { isActive };
+    // Matches queued before a pause are dropped rather than sent late
+    if (!isActive) update.pendingJobs = [];
+
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      update,
+      { new: true }
+    ).select(HIDDEN_FIELDS);
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: isActive ? 'Job alerts resumed' : 'Job alerts paused',
+      data: search
+    });
+  } catch (error) {
+    console.error('Toggle saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating saved search',
+      error: error.message
+    });
+  }
+};
+
+exports.pauseSavedSearch = setSavedSearchActive(false);
+exports.resumeSavedSearch = setSavedSearchActive(true);
+
+exports.deleteSavedSearch = async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting saved search',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,376 @@
+const EmployerTeamMember = require('../models/EmployerTeamMember');
+const EmployerProfile = require('../models/EmployerProfile');
+const User = require('../models/User');
+const crypto = require('crypto');
+const { sendTeamInvitationEmail } = require('../utils/sendEmail');
+const { recordFailedLogin, rejectIfThrottled } = require('../utils/loginLockout');
+
+const ROLE_LABELS = {
+  recruiter: 'Recruiter',
+  hiring_manager: 'Hiring Manager'
+};
+
+const invalidPermissions = (permissions) => {
+  return !Array.isArray(permissions) ||
+    permissions.some(p => !EmployerTeamMember.PERMISSIONS.includes(p));
+};
+
+exports.getTeam = async (req, res) => {
+  try {
+    const [owner, members] = await Promise.all([
+      User.findById(req.employer.companyId).select('email'),
+      EmployerTeamMember.find({
+        owner: req.employer.companyId,
+        status: { $ne: 'removed' }
+      })
+        .populate('user', 'email isActive')
+        .sort({ createdAt: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        owner,
+        members,
+        permissions: EmployerTeamMember.PERMISSIONS,
+        myRole: req.employer.role,
+        myPermissions: req.employer.permissions
+      }
+    });
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team',
+      error: error.message
+    });
+  }
+};
+
+exports.inviteMember = async (req, res) => {
+  try {
+    const { email, name, role = 'recruiter', permissions } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    if (!ROLE_LABELS[role]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid team role'
+      });
+    }
+
+    if (permissions !== undefined && invalidPermissions(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: `Permissions must be any of: ${EmployerTeamMember.PERMISSIONS.join(', ')}`
+      });
+    }
+
+    if (!req.employer.profile) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please create your company profile before inviting team members'
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    if (normalizedEmail === req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot invite yourself'
+      });
+    }
+
+    const existingMember = await EmployerTeamMember.findOne({
+      owner: req.employer.companyId,
+      email: normalizedEmail,
+      status: { $ne: 'removed' }
+    });
+
+    if (existingMember) {
+      return res.status(400).json({
+        success: false,
+        message: 'This person is already on your team or has a pending invitation'
+      });
+    }
+
+    // Invitee may already have an account, which must be able to join a company
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      const [ownsCompany, otherMembership] = await Promise.all([
+        EmployerProfile.exists({ user: existingUser._id }),
+        EmployerTeamMember.exists({ user: existingUser._id, status: 'active' })
+      ]);
+
+      if (existingUser.role !== 'employer' || ownsCompany || otherMembership) {
+        return res.status(400).json({
+          success: false,
+          message: 'This email belongs to an account that cannot join your team'
+        });
+      }
+    }
+
+    const member = new EmployerTeamMember({
+      employerProfile: req.employer.profile._id,
+      owner: req.employer.companyId,
+      email: normalizedEmail,
+      name,
+      role,
+      permissions,
+      invitedBy: req.user._id
+    });
+    const invitationToken = member.getInvitationToken();
+    await member.save();
+
+    const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/team/accept?token=${invitationToken}`;
+
+    console.log(`\nTeam invitation link for ${normalizedEmail}:`);
+    console.log(`   ${acceptUrl}\n`);
+
+    let emailSent = false;
+    try {
+      await sendTeamInvitationEmail(normalizedEmail, req.employer.profile.companyName, ROLE_LABELS[role], acceptUrl);
+      emailSent = true;
+    } catch (emailError) {
+      console.error('Failed to send team invitation email:', emailError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: emailSent
+        ? 'Invitation sent successfully'
+        : 'Invitation created. The email could not be sent, please share the link manually.',
+      data: member
+    });
+  } catch (error) {
+    console.error('Invite team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error inviting team member',
+      error: error.message
+    });
+  }
+};
+
+exports.updateMember = async (req, res) => {
+  try {
+    const { role, permissions } = req.body;
+
+    const member = await EmployerTeamMember.findOne({
+      _id: req.params.memberId,
+      owner: req.employer.companyId,
+      status: { $ne: 'removed' }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    if (role !== undefined) {
+      if (!ROLE_LABELS[role]) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid team role'
+        });
+      }
+      member.role = role;
+    }
+
+    if (permissions !== undefined) {
+      if (invalidPermissions(permissions)) {
+        return res.status(400).json({
+          success: false,
+          message: `Permissions must be any of: ${EmployerTeamMember.PERMISSIONS.join(', ')}`
+        });
+      }
+      member.permissions = permissions;
+    }
+
+    await member.save();
+
+    res.json({
+      success: true,
+      message: 'Team member updated successfully',
+      data: member
+    });
+  } catch (error) {
+    console.error('Update team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating team member',
+      error: error.message
+    });
+  }
+};
+
+exports.removeMember = async (req, res) => {
+  try {
+    const member = await EmployerTeamMember.findOne({
+      _id: req.params.memberId,
+      owner: req.employer.companyId,
+      status: { $ne: 'removed' }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    member.status = 'removed';
+    member.invitationToken = undefined;
+    member.invitationExpire = undefined;
+    await member.save();
+
+    res.json({
+      success: true,
+      message: member.user ? 'Team member removed successfully' : 'Invitation cancelled'
+    });
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing team member',
+      error: error.message
+    });
+  }
+};
+
+exports.leaveTeam = async (req, res) => {
+  try {
+    if (req.employer.isOwner) {
+      return res.status(400).json({
+        success: false,
+        message: 'Company owners cannot leave their own team'
+      });
+    }
+
+    req.employer.membership.status = 'removed';
+    await req.employer.membership.save();
+
+    res.json({
+      success: true,
+      message: 'You have left the team'
+    });
+  } catch (error) {
+    console.error('Leave team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error leaving team',
+      error: error.message
+    });
+  }
+};
+
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation token and password are required'
+      });
+    }
+
+    const invitationToken = crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+
+    const member = await EmployerTeamMember.findOne({
+      invitationToken,
+      invitationExpire: { $gt: Date.now() },
+      status: 'invited'
+    });
+
+    if (!member) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    let user = await User.findOne({ email: member.email }).select('+password');
+
+    if (user) {
+      // Existing account: confirm it is theirs and that it can join.
+      // Wrong passwords count towards the same lockout as logins.
+      if (rejectIfThrottled(user, res)) {
+        return;
+      }
+
+      const isMatch = await user.comparePassword(password);
+      if (!isMatch) {
+        await recordFailedLogin(user);
+        return res.status(401).json({
+          success: false,
+          message: 'Incorrect password for the invited account'
+        });
+      }
+      await user.resetLoginAttempts();
+
+      const [ownsCompany, otherMembership] = await Promise.all([
+        EmployerProfile.exists({ user: user._id }),
+        EmployerTeamMember.exists({ user: user._id, status: 'active' })
+      ]);
+
+      if (user.role !== 'employer' || ownsCompany || otherMembership) {
+        return res.status(400).json({
+          success: false,
+          message: 'This account cannot join another company'
+        });
+      }
+    } else {
+      if (password.length < 8) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password must be at least 8 characters'
+        });
+      }
+
+      // The invitation link proves ownership of the email address
+      user = await User.create({
+        email: member.email,
+        password,
+        role: 'employer',
+        isVerified: true
+      });
+    }
+
+    member.user = user._id;
+    member.status = 'active';
+    member.joinedAt = new Date();
+    member.invitationToken = undefined;
+    member.invitationExpire = undefined;
+    await member.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted. You can now log in.',
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation',
+      error: error.message
+    });
+  }
+};
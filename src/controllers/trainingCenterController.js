@@ -2,6 +2,7 @@ const TrainingCenterProfile = require('../models/TrainingCenterProfile');
 const TrainingCourse = require('../models/TrainingCourse');
 const CourseInquiry = require('../models/CourseInquiry');
 const { uploadToCloudinary } = require('../middleware/upload');
+const { createQueryBuilder, getPagination } = require('../utils/queryBuilder');
 
 exports.createOrUpdateProfile = async (req, res) => {
   try {
@@ -176,46 +177,28 @@ exports.getAllTrainingCenters = async (req, res) => {
       specialization,
       city,
       country,
-      verified,
-      page = 1,
-      limit = 10
+      verified
     } = req.query;
 
-    const query = {};
+    const query = createQueryBuilder()
+      // Search by name or description
+      .search(['centerName', 'description'], search)
+      // Filter by specialization
+      .anyOf('specializations', specialization)
+      // Filter by location
+      .search('location.city', city, 'city')
+      .search('location.country', country, 'country')
+      // Filter by verification status
+      .equals('isVerified', verified === 'true' ? true : undefined)
+      .build();
 
-    // Search by name or description
-    if (search) {
-      query.$or = [
-        { centerName: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    // Filter by specialization
-    if (specialization) {
-      query.specializations = { $in: [specialization] };
-    }
-
-    // Filter by location
-    if (city) {
-      query['location.city'] = { $regex: city, $options: 'i' };
-    }
-    if (country) {
-      query['location.country'] = { $regex: country, $options: 'i' };
-    }
-
-    // Filter by verification status
-    if (verified === 'true') {
-      query.isVerified = true;
-    }
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { page, limit, skip } = getPagination(req.query);
 
     const [trainingCenters, total] = await Promise.all([
       TrainingCenterProfile.find(query)
         .sort({ isVerified: -1, 'rating.average': -1, createdAt: -1 })
         .skip(skip)
-        .limit(parseInt(limit)),
+        .limit(limit),
       TrainingCenterProfile.countDocuments(query)
     ]);
 
@@ -223,10 +206,10 @@ exports.getAllTrainingCenters = async (req, res) => {
       success: true,
       count: trainingCenters.length,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        pages: Math.ceil(total / parseInt(limit))
+        pages: Math.ceil(total / limit)
       },
       data: trainingCenters
     });
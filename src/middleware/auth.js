@@ -1,18 +1,73 @@
-const { verifyToken } = require('../utils/jwt');
+const { verifyToken, verifyChallengeToken } = require('../utils/jwt');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { apiKeyLimiter } = require('./rateLimiter');
 
-// Protect routes - verify JWT token
+// Authenticate an employer API key sent in the X-API-Key header.
+// Only routes that opted in with apiKeyScope() accept keys.
+const authenticateApiKey = async (req, res, next, rawKey) => {
+  if (!req.apiKeyScope) {
+    return res.status(401).json({
+      success: false,
+      message: 'API keys are not accepted for this route'
+    });
+  }
+
+  try {
+    const apiKey = await ApiKey.findByKey(rawKey);
+
+    if (!apiKey || !apiKey.isValid()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, API key invalid, expired or revoked'
+      });
+    }
+
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the '${req.apiKeyScope}' scope`
+      });
+    }
+
+    // The key acts as the company account that owns it
+    req.user = await User.findById(apiKey.owner);
+
+    if (!req.user || req.user.isActive === false) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, account unavailable'
+      });
+    }
+
+    req.apiKey = apiKey;
+    await apiKey.recordUsage(req.ip);
+
+    next();
+  } catch (error) {
+    console.error('API key auth error:', error);
+    res.status(401).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+};
+
+// Protect routes - verify JWT token (or API key on routes that allow it)
 const protect = async (req, res, next) => {
   let token;
 
+  const rawApiKey = req.headers['x-api-key'];
+  if (rawApiKey && !req.headers.authorization) {
+    return authenticateApiKey(req, res, next, rawApiKey);
+  }
+
   // Check for token in Authorization header
+  // (files opened in new tabs use signed links from /api/files instead)
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     token = req.headers.authorization.split(' ')[1];
   }
-  // Also check query string for token (used for file downloads/views in new tabs)
-  else if (req.query.token) {
-    token = req.query.token;
-  }
 
   if (!token) {
     return res.status(401).json({
@@ -32,7 +87,18 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    // Reject tokens whose session was revoked, expired or never existed
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+    if (!session || !session.isValid() || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, session expired or revoked'
+      });
+    }
+
+    // Attach user and session to request
+    req.session = session;
     req.user = await User.findById(decoded.id);
 
     if (!req.user) {
@@ -42,6 +108,9 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Update last-seen time for session management
+    await session.touch();
+
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -52,6 +121,78 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid access token is sent, but let anonymous requests
+// through (e.g. view tracking, which counts signed-in users by account)
+const optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const decoded = verifyToken(header.split(' ')[1]);
+    const session = decoded?.sid ? await Session.findById(decoded.sid) : null;
+
+    if (session && session.isValid() && session.user.toString() === decoded.id) {
+      req.session = session;
+      req.user = await User.findById(decoded.id);
+    }
+  } catch (error) {
+    console.error('Optional auth error:', error);
+  }
+
+  next();
+};
+
+// Accept either a normal access token or a challenge token for an unfinished login
+// step (e.g. mandatory two-factor setup). Sets req.challenge when the latter is used.
+const protectOrChallenge = (purpose) => {
+  return async (req, res, next) => {
+    if (!req.body?.challengeToken) {
+      return protect(req, res, next);
+    }
+
+    try {
+      const decoded = verifyChallengeToken(req.body.challengeToken, purpose);
+
+      if (!decoded) {
+        return res.status(401).json({
+          success: false,
+          message: 'Challenge token invalid or expired. Please log in again.'
+        });
+      }
+
+      req.user = await User.findById(decoded.id);
+
+      if (!req.user || req.user.isActive === false) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized'
+        });
+      }
+
+      req.challenge = decoded;
+      next();
+    } catch (error) {
+      console.error('Challenge auth error:', error);
+      res.status(401).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+  };
+};
+
+// Allow employer API keys with the given scope on a route. Must be placed before
+// protect; API key traffic is rate limited separately from browser traffic.
+const apiKeyScope = (scope) => [
+  (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  },
+  apiKeyLimiter
+];
+
 // Authorize by role - check if user has required role
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -73,4 +214,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+module.exports = { protect, optionalAuth, protectOrChallenge, apiKeyScope, authorize };
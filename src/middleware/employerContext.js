@@ -0,0 +1,99 @@
+const EmployerProfile = require('../models/EmployerProfile');
+const EmployerTeamMember = require('../models/EmployerTeamMember');
+
+// Resolve which company an employer user acts for and with which permissions
+const resolveEmployerContext = async (user) => {
+  const ownProfile = await EmployerProfile.findOne({ user: user._id });
+
+  if (ownProfile) {
+    return {
+      companyId: user._id,
+      profile: ownProfile,
+      isOwner: true,
+      role: 'owner',
+      permissions: EmployerTeamMember.PERMISSIONS
+    };
+  }
+
+  const membership = await EmployerTeamMember.findOne({ user: user._id, status: 'active' })
+    .populate('employerProfile');
+
+  if (membership && membership.employerProfile) {
+    return {
+      companyId: membership.owner,
+      profile: membership.employerProfile,
+      isOwner: false,
+      role: membership.role,
+      permissions: membership.permissions,
+      membership
+    };
+  }
+
+  // Employer who has not created a company profile yet
+  return {
+    companyId: user._id,
+    profile: null,
+    isOwner: true,
+    role: 'owner',
+    permissions: EmployerTeamMember.PERMISSIONS
+  };
+};
+
+// Attach the employer's company context to req.employer (no-op for other roles)
+const loadEmployerContext = async (req, res, next) => {
+  if (!req.user || req.user.role !== 'employer' || req.employer) {
+    return next();
+  }
+
+  try {
+    req.employer = await resolveEmployerContext(req.user);
+    next();
+  } catch (error) {
+    console.error('Employer context error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading company account'
+    });
+  }
+};
+
+// Require a team permission (company owners have all permissions)
+const requireEmployerPermission = (permission) => {
+  return (req, res, next) => {
+    loadEmployerContext(req, res, () => {
+      if (!req.employer || !req.employer.permissions.includes(permission)) {
+        return res.status(403).json({
+          success: false,
+          message: `Your team role does not have the '${permission}' permission`
+        });
+      }
+      next();
+    });
+  };
+};
+
+// Only the company owner may continue
+const requireCompanyOwner = (req, res, next) => {
+  loadEmployerContext(req, res, () => {
+    if (!req.employer || !req.employer.isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the company account owner can perform this action'
+      });
+    }
+    next();
+  });
+};
+
+// Check whether a resource owned by `ownerId` belongs to the requester's company
+const belongsToCompany = (req, ownerId) => {
+  return !!(req.employer && ownerId && ownerId.toString() === req.employer.companyId.toString());
+};
+
+module.exports = {
+  resolveEmployerContext,
+  loadEmployerContext,
+  requireEmployerPermission,
+  requireCompanyOwner,
+  belongsToCompany
+};
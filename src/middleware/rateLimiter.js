@@ -1,4 +1,5 @@
 const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
 
 // General API rate limiter
 const apiLimiter = rateLimit({
@@ -37,6 +38,18 @@ const passwordResetLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiter for magic link login requests
+const magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 login link requests per windowMs
+  message: {
+    success: false,
+    message: 'Too many login link requests, please try again after 15 minutes.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Rate limiter for registration
 const registrationLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -49,9 +62,41 @@ const registrationLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiter for abuse reports
+const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit each IP to 10 reports per hour
+  message: {
+    success: false,
+    message: 'Too many reports submitted, please try again after an hour.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiter for employer API keys, counted per key instead of per IP
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.API_KEY_RATE_LIMIT) || 60, // Requests per key per minute
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !req.headers['x-api-key'] || !!req.headers.authorization,
+  keyGenerator: (req) => crypto
+    .createHash('sha256')
+    .update(req.headers['x-api-key'])
+    .digest('hex'),
+});
+
 module.exports = {
   apiLimiter,
+  apiKeyLimiter,
   authLimiter,
   passwordResetLimiter,
+  magicLinkLimiter,
   registrationLimiter,
+  reportLimiter,
 };
@@ -42,8 +42,18 @@ const uploadLogo = multer({
   fileFilter: fileFilter(['.jpg', '.jpeg', '.png', '.webp', '.svg']),
 });
 
+// Bulk job import configuration (CSV or JSON, max 2MB)
+const uploadJobImport = multer({
+  storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+  },
+  fileFilter: fileFilter(['.csv', '.json']),
+});
+
 module.exports = {
   uploadResume,
   uploadImage,
   uploadLogo,
+  uploadJobImport,
 };
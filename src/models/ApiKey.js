@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SCOPES = ['jobs:read', 'jobs:write', 'applications:read'];
+
+const apiKeySchema = new mongoose.Schema({
+  // Company account owner the key acts as
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  // First characters of the key, shown so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 hash of the full key (the raw key is only shown once at creation)
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+apiKeySchema.index({ owner: 1, revokedAt: 1 });
+
+const hashKey = (key) => crypto
+  .createHash('sha256')
+  .update(key)
+  .digest('hex');
+
+// Check whether the key can still be used
+apiKeySchema.methods.isValid = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Record usage, writing at most once per minute
+apiKeySchema.methods.recordUsage = async function(ipAddress) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return;
+  }
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ipAddress;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: ipAddress } }
+  );
+};
+
+// Generate a new raw key with its display prefix and hash
+apiKeySchema.statics.generateKey = function() {
+  const key = `ja_${crypto.randomBytes(32).toString('hex')}`;
+  return { key, prefix: key.slice(0, 11), keyHash: hashKey(key) };
+};
+
+// Find a key document by its raw value
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashKey(key) });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = SCOPES;
+
+module.exports = ApiKey;
@@ -40,6 +40,24 @@ const applicationSchema = new mongoose.Schema({
       type: String
     }
   },
+  // Answers to the job's screening questions
+  screeningAnswers: [{
+    _id: false,
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    // Snapshot of the question, kept if the job's questions change later
+    questionText: String,
+    type: String,
+    answer: mongoose.Schema.Types.Mixed
+  }],
+  // Knockout rules the answers tripped (the application was rejected automatically).
+  // Employer only: left out of queries unless selected with +knockoutReasons
+  knockoutReasons: {
+    type: [String],
+    select: false
+  },
   // Employer feedback
   feedback: {
     message: String,
@@ -87,13 +105,19 @@ applicationSchema.index({ job: 1, jobSeeker: 1 }, { unique: true });
 
 // Index for efficient queries
 applicationSchema.index({ employer: 1, status: 1 });
+applicationSchema.index({ employer: 1, appliedDate: -1 });
 applicationSchema.index({ jobSeeker: 1, status: 1 });
 applicationSchema.index({ job: 1, status: 1 });
 applicationSchema.index({ appliedDate: -1 });
+applicationSchema.index({ job: 1, 'screeningAnswers.question': 1 });
 
 // Pre-save hook to add status change to history
+// Skipped when the caller already recorded the change (with changedBy and note)
 applicationSchema.pre('save', function(next) {
-  if (this.isModified('status')) {
+  const lastEntry = this.statusHistory[this.statusHistory.length - 1];
+  const alreadyRecorded = lastEntry && lastEntry.status === this.status && this.isModified('statusHistory');
+
+  if (this.isModified('status') && !alreadyRecorded) {
     this.statusHistory.push({
       status: this.status,
       changedAt: new Date()
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const PERMISSIONS = ['post_jobs', 'view_applications', 'change_status', 'schedule_interviews'];
+
+// Permissions granted when an invitation does not specify any
+const DEFAULT_PERMISSIONS = {
+  recruiter: ['post_jobs', 'view_applications', 'change_status', 'schedule_interviews'],
+  hiring_manager: ['view_applications', 'change_status', 'schedule_interviews']
+};
+
+const employerTeamMemberSchema = new mongoose.Schema({
+  employerProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmployerProfile',
+    required: true
+  },
+  // Company account owner - jobs and applications are stored under this user
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set once the invitation is accepted
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['recruiter', 'hiring_manager'],
+    default: 'recruiter'
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'removed'],
+    default: 'invited'
+  },
+  invitationToken: {
+    type: String,
+    select: false
+  },
+  invitationExpire: {
+    type: Date
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+employerTeamMemberSchema.index({ owner: 1, status: 1 });
+employerTeamMemberSchema.index({ user: 1, status: 1 });
+employerTeamMemberSchema.index({ email: 1, owner: 1 });
+employerTeamMemberSchema.index({ invitationToken: 1 });
+
+// Apply role defaults when no explicit permissions were given
+employerTeamMemberSchema.pre('save', function(next) {
+  if (this.isNew && (!this.permissions || this.permissions.length === 0)) {
+    this.permissions = DEFAULT_PERMISSIONS[this.role] || [];
+  }
+  next();
+});
+
+// Generate invitation token
+employerTeamMemberSchema.methods.getInvitationToken = function() {
+  const invitationToken = crypto.randomBytes(32).toString('hex');
+
+  this.invitationToken = crypto
+    .createHash('sha256')
+    .update(invitationToken)
+    .digest('hex');
+
+  // Set expire time (7 days)
+  this.invitationExpire = Date.now() + 7 * 24 * 60 * 60 * 1000;
+
+  return invitationToken;
+};
+
+const EmployerTeamMember = mongoose.model('EmployerTeamMember', employerTeamMemberSchema);
+
+EmployerTeamMember.PERMISSIONS = PERMISSIONS;
+
+module.exports = EmployerTeamMember;
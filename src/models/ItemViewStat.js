@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Daily view counts of a job or course (see utils/itemViews.js)
+const itemViewStatSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['job', 'course'],
+    required: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Start of the UTC day
+  day: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  uniqueViewers: {
+    type: Number,
+    default: 0
+  }
+});
+
+itemViewStatSchema.index({ itemType: 1, itemId: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('ItemViewStat', itemViewStatSchema);
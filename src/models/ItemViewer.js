@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Recent viewers of a job or course, so a viewer is counted once per dedupe
+// window and once per day (see utils/itemViews.js). Expires after two days.
+const itemViewerSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['job', 'course'],
+    required: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // "user:<id>" for signed-in users, "anon:<hash>" for anonymous visitors
+  viewer: {
+    type: String,
+    required: true
+  },
+  // Last view that was counted
+  lastViewedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+itemViewerSchema.index({ itemType: 1, itemId: 1, viewer: 1 }, { unique: true });
+itemViewerSchema.index({ lastViewedAt: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ItemViewer', itemViewerSchema);
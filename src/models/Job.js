@@ -1,4 +1,67 @@
 const mongoose = require('mongoose');
+const { geocodeLocation } = require('../utils/geo');
+const { getExchangeRates, normalizeSalary } = require('../utils/salary');
+const JobCategory = require('./JobCategory');
+
+// Answers that automatically reject an application
+const knockoutSchema = new mongoose.Schema({
+  // yes_no: reject when the answer differs
+  expectedAnswer: Boolean,
+  // Choice questions: reject when any of these is selected
+  rejectOptions: [String],
+  // number: reject outside this range
+  min: Number,
+  max: Number,
+}, { _id: false });
+
+// Question candidates answer when applying (see utils/screening.js)
+const screeningQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [300, 'Question cannot exceed 300 characters'],
+  },
+  type: {
+    type: String,
+    enum: ['yes_no', 'single_choice', 'multi_choice', 'number', 'text'],
+    required: true,
+  },
+  // Choices for single_choice and multi_choice questions
+  options: [{
+    type: String,
+    trim: true,
+  }],
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  // Answers that automatically reject the application. Hidden by default so
+  // candidates cannot tailor their answers; select it only for the job's owner.
+  knockout: {
+    type: knockoutSchema,
+    select: false,
+  },
+});
+
+// Spam and duplicate risk assessment (see utils/jobRisk.js), only shown to admins
+const riskSchema = new mongoose.Schema({
+  score: {
+    type: Number,
+    default: 0,
+  },
+  // Score reached the platform's review threshold
+  flagged: {
+    type: Boolean,
+    default: false,
+  },
+  reasons: [{
+    _id: false,
+    code: String,
+    message: String,
+  }],
+  assessedAt: Date,
+}, { _id: false });
 
 const jobSchema = new mongoose.Schema({
   employer: {
@@ -10,6 +73,17 @@ const jobSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'EmployerProfile',
   },
+  // The employer's own reference (e.g. from their ATS), used to update jobs on re-import
+  externalRef: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'External reference cannot exceed 100 characters'],
+  },
+  // Team member who created the posting (the company owner or a recruiter)
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
   title: {
     type: String,
     required: [true, 'Job title is required'],
@@ -21,6 +95,15 @@ const jobSchema = new mongoose.Schema({
     required: [true, 'Job description is required'],
     maxlength: [5000, 'Description cannot exceed 5000 characters'],
   },
+  // Category from the admin-managed taxonomy (any level of the tree)
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobCategory',
+    validate: {
+      validator: async (value) => !value || Boolean(await JobCategory.exists({ _id: value, isActive: true })),
+      message: 'Please choose an active job category',
+    },
+  },
   requirements: {
     skills: [{
       type: String,
@@ -57,6 +140,17 @@ const jobSchema = new mongoose.Schema({
       type: Boolean,
       default: false,
     },
+    // GeoJSON point geocoded from the city (see utils/geo.js)
+    coordinates: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
   },
   salary: {
     min: {
@@ -77,18 +171,57 @@ const jobSchema = new mongoose.Schema({
       default: 'yearly',
     },
   },
+  // Salary as a yearly amount in the platform base currency (see utils/salary.js),
+  // used to filter and sort jobs paid per hour, month or year in any currency
+  normalizedSalary: {
+    min: Number,
+    max: Number,
+    currency: String,
+  },
   benefits: [{
     type: String,
     trim: true,
   }],
+  screeningQuestions: [screeningQuestionSchema],
   status: {
     type: String,
-    enum: ['draft', 'active', 'paused', 'closed'],
+    enum: ['draft', 'scheduled', 'pending_review', 'active', 'paused', 'closed'],
     default: 'active',
   },
+  risk: {
+    type: riskSchema,
+    select: false,
+  },
+  // Admin approval of held jobs (see utils/moderation.js)
+  moderation: {
+    // Set for new and materially edited jobs under pre-moderation, risky jobs and rejected jobs
+    reviewRequired: {
+      type: Boolean,
+      default: false,
+    },
+    approvedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    rejectedAt: Date,
+    rejectionReason: String,
+  },
+  // Scheduled jobs are published automatically at this time
+  publishAt: {
+    type: Date,
+  },
   applicationDeadline: {
     type: Date,
   },
+  // Set when the employer has been warned that the deadline is near
+  expiryReminderSentAt: {
+    type: Date,
+  },
+  // Set when the scheduler closed the job because its deadline passed
+  expiredAt: {
+    type: Date,
+  },
   postedDate: {
     type: Date,
     default: Date.now,
@@ -108,10 +241,69 @@ const jobSchema = new mongoose.Schema({
 // Indexes for search and filtering
 jobSchema.index({ title: 'text', description: 'text' });
 jobSchema.index({ status: 1, postedDate: -1 });
+jobSchema.index({ createdAt: -1 });
+jobSchema.index({ status: 1, updatedAt: 1 });
 jobSchema.index({ employer: 1 });
+jobSchema.index(
+  { employer: 1, externalRef: 1 },
+  { unique: true, partialFilterExpression: { externalRef: { $type: 'string' } } }
+);
 jobSchema.index({ 'requirements.skills': 1 });
 jobSchema.index({ jobType: 1 });
+jobSchema.index({ category: 1, status: 1 });
 jobSchema.index({ 'location.city': 1, 'location.country': 1 });
+jobSchema.index({ 'location.coordinates': '2dsphere' });
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ status: 1, applicationDeadline: 1 });
+jobSchema.index({ status: 1, 'normalizedSalary.min': 1 });
+jobSchema.index({ status: 1, 'normalizedSalary.max': -1 });
+
+// Geocode the location when its city or country changes
+jobSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('location.city') || this.isModified('location.country')) {
+    this.set('location.coordinates', geocodeLocation(this.location));
+  }
+  next();
+});
+
+// Normalize the salary when it changes
+jobSchema.pre('validate', async function() {
+  if (this.isNew || this.isModified('salary')) {
+    this.normalizedSalary = normalizeSalary(this.salary, await getExchangeRates());
+  }
+});
+
+// Recompute every job's normalized salary, e.g. after exchange rates change
+jobSchema.statics.renormalizeSalaries = async function() {
+  const exchange = await getExchangeRates();
+  const cursor = this.find({ salary: { $exists: true } }).select('salary').lean().cursor();
+
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0) {
+      const result = await this.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+      batch = [];
+    }
+  };
+
+  for (let job = await cursor.next(); job; job = await cursor.next()) {
+    batch.push({
+      updateOne: {
+        filter: { _id: job._id },
+        update: { $set: { normalizedSalary: normalizeSalary(job.salary, exchange) } },
+      },
+    });
+    if (batch.length >= 500) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return updated;
+};
 
 // Validate salary range
 jobSchema.pre('save', function(next) {
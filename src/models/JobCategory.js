@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Admin-managed, hierarchical job categories (e.g. Technology > Software Development)
+const jobCategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [80, 'Category name cannot exceed 80 characters']
+  },
+  // URL-friendly identifier used in filters, e.g. ?category=software-development
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobCategory',
+    default: null
+  },
+  // Parent, grandparent, ... up to the root, so a subtree is one query away
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobCategory'
+  }],
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Inactive categories are hidden and cannot be chosen for new jobs
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+jobCategorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+jobCategorySchema.index({ ancestors: 1 });
+
+// Build a slug from a category name
+jobCategorySchema.statics.slugify = function(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+module.exports = mongoose.model('JobCategory', jobCategorySchema);
@@ -124,6 +124,11 @@ const jobSeekerProfileSchema = new mongoose.Schema(
         type: String,
         default: 'USD',
       },
+      period: {
+        type: String,
+        enum: ['hourly', 'monthly', 'yearly'],
+        default: 'yearly',
+      },
     },
     availableFrom: {
       type: Date,
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { MODERATION_TARGETS } = require('../utils/moderation');
+
+// History of admin approvals and rejections of held jobs and courses
+const moderationDecisionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: Object.keys(MODERATION_TARGETS),
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    required: true
+  },
+  targetModel: {
+    type: String,
+    enum: Object.values(MODERATION_TARGETS).map(target => target.model),
+    required: true
+  },
+  // Title at the time of the decision, kept if the posting is edited or deleted
+  title: {
+    type: String
+  },
+  // Employer or training center account that owns the posting
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decision: {
+    type: String,
+    enum: ['approved', 'rejected'],
+    required: true
+  },
+  // Rejection reason sent to the owner, or an internal note on approvals
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  // Job risk score at the time of the decision
+  riskScore: {
+    type: Number
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+moderationDecisionSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+moderationDecisionSchema.index({ createdAt: -1 });
+moderationDecisionSchema.index({ decidedBy: 1, createdAt: -1 });
+
+moderationDecisionSchema.pre('validate', function(next) {
+  this.targetModel = MODERATION_TARGETS[this.targetType]?.model;
+  next();
+});
+
+module.exports = mongoose.model('ModerationDecision', moderationDecisionSchema);
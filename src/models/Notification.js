@@ -17,9 +17,13 @@ const notificationSchema = new mongoose.Schema({
       'interview_reminder',        // Both: interview reminder
       'feedback_received',         // Job Seeker: feedback from employer
       'job_recommendation',        // Job Seeker: new matching job
+      'job_alert',                 // Job Seeker: new jobs for a saved search
+      'job_expiring',             // Employer: job posting deadline approaching
       'job_expired',              // Employer: job posting expired
       'profile_view',             // Job Seeker: profile viewed
       'welcome',                  // All: welcome notification
+      'report_update',            // All: outcome of a submitted abuse report
+      'moderation_decision',      // Employer / Training Center: job or course approved or rejected
       'course_inquiry'            // Training Center: new course inquiry
     ],
     required: true
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Pending OpenID Connect login, kept until the provider redirects back
+const oidcLoginRequestSchema = new mongoose.Schema({
+  // SHA-256 hash of the state parameter sent to the provider
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // PKCE code verifier, only ever sent to the token endpoint
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Signed-in account the identity is linked to, when linking instead of logging in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => Date.now() + 10 * 60 * 1000 // 10 minutes
+  }
+}, {
+  timestamps: true
+});
+
+// Remove abandoned login attempts
+oidcLoginRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashState = (state) => crypto
+  .createHash('sha256')
+  .update(state)
+  .digest('hex');
+
+oidcLoginRequestSchema.statics.record = function(provider, { state, nonce, codeVerifier }, user) {
+  return this.create({ stateHash: hashState(state), provider, nonce, codeVerifier, user });
+};
+
+// Find and delete the request for `state` so each callback can be used once
+oidcLoginRequestSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({
+    stateHash: hashState(state),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OidcLoginRequest', oidcLoginRequestSchema);
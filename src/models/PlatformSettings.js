@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Single document holding platform-wide settings managed by admins
+const platformSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  security: {
+    // Roles that must enroll in two-factor authentication before using the platform
+    twoFactorRequiredRoles: [{
+      type: String,
+      enum: ['employer', 'admin']
+    }]
+  },
+  salary: {
+    // Currency job salaries are normalized to for filtering and sorting
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Base currency must be a 3-letter ISO 4217 code'],
+      default: 'USD'
+    },
+    // Units of each currency per one unit of the base currency, e.g. { MMK: 2100, EUR: 0.92 }
+    exchangeRates: {
+      type: Map,
+      of: {
+        type: Number,
+        min: [0.000001, 'Exchange rates must be positive']
+      },
+      default: {}
+    },
+    ratesUpdatedAt: {
+      type: Date
+    }
+  },
+  moderation: {
+    // Hold new and materially edited postings until an admin approves them
+    preModeration: {
+      jobs: {
+        type: Boolean,
+        default: false
+      },
+      courses: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // Jobs whose risk score reaches this are held for review (see utils/jobRisk.js)
+    riskThreshold: {
+      type: Number,
+      min: [1, 'Risk threshold must be between 1 and 100'],
+      max: [100, 'Risk threshold must be between 1 and 100'],
+      default: 50
+    },
+    // Phrases that mark a posting as a likely scam, in addition to the built-in list
+    blockedPhrases: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    // Highest believable yearly salary in the base currency
+    maxAnnualSalary: {
+      type: Number,
+      min: [1, 'Maximum annual salary must be positive'],
+      default: 1000000
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Get the settings document, creating it with defaults on first use
+platformSettingsSchema.statics.getSettings = async function() {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Check whether two-factor authentication is mandatory for a role
+platformSettingsSchema.statics.isTwoFactorRequired = async function(role) {
+  const settings = await this.getSettings();
+  return (settings.security?.twoFactorRequiredRoles || []).includes(role);
+};
+
+module.exports = mongoose.model('PlatformSettings', platformSettingsSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { REPORT_TARGETS, REPORT_REASONS } = require('../utils/reports');
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: Object.keys(REPORT_TARGETS),
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    required: true
+  },
+  targetModel: {
+    type: String,
+    enum: Object.values(REPORT_TARGETS).map(target => target.model),
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: [true, 'Please choose a reason']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'actioned'],
+    default: 'open'
+  },
+  // Filled in when an admin resolves the reports for the target
+  resolution: {
+    action: String,
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One open report per reporter and target; they can report again after a decision
+reportSchema.index(
+  { reporter: 1, targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reportSchema.index({ status: 1, targetType: 1, target: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+
+reportSchema.pre('validate', function(next) {
+  this.targetModel = REPORT_TARGETS[this.targetType]?.model;
+  next();
+});
+
+module.exports = mongoose.model('Report', reportSchema);
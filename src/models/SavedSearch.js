@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a name for the search'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Job search parameters as accepted by GET /api/jobs (see utils/jobSearch)
+  query: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  frequency: {
+    type: String,
+    enum: ['instant', 'daily', 'weekly'],
+    default: 'daily'
+  },
+  channels: {
+    type: [{
+      type: String,
+      enum: ['in_app', 'email']
+    }],
+    default: ['in_app']
+  },
+  // Paused searches get no alerts
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Matches waiting for the next daily or weekly digest
+  pendingJobs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  }],
+  // Jobs already sent, so a job is never alerted twice
+  notifiedJobs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  }],
+  lastNotifiedAt: {
+    type: Date
+  },
+  // Earliest time the next digest may be sent
+  nextDigestAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, frequency: 1, nextDigestAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
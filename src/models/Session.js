@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 hash of the current refresh token (the raw token is never stored)
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token that was rotated out, used to detect refresh token reuse
+  previousRefreshTokenHash: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  },
+  // Device information recorded at login
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Remove sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
+const getRefreshTokenLifetime = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Check whether the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Generate a new refresh token, keeping the old hash for reuse detection
+sessionSchema.methods.rotateRefreshToken = function() {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  this.previousRefreshTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = hashToken(refreshToken);
+  this.expiresAt = Date.now() + getRefreshTokenLifetime();
+
+  return refreshToken;
+};
+
+// Record activity, writing at most once per minute to avoid a save on every request
+sessionSchema.methods.touch = async function() {
+  if (this.lastSeenAt && Date.now() - this.lastSeenAt.getTime() < 60 * 1000) {
+    return;
+  }
+  this.lastSeenAt = new Date();
+  await this.save();
+};
+
+// Mark the session as revoked
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+};
+
+// Create a session for a user and return it with its raw refresh token
+sessionSchema.statics.issue = async function(userId, device = {}) {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: Date.now() + getRefreshTokenLifetime(),
+    userAgent: device.userAgent,
+    ipAddress: device.ipAddress
+  });
+
+  return { session, refreshToken };
+};
+
+// Find a session by the raw refresh token (current or previously rotated)
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await this.findOne({ refreshTokenHash: tokenHash });
+  if (session) {
+    return { session, reused: false };
+  }
+
+  const rotatedSession = await this.findOne({ previousRefreshTokenHash: tokenHash });
+  return { session: rotatedSession, reused: !!rotatedSession };
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { geocodeLocation } = require('../utils/geo');
 
 const trainingCourseSchema = new mongoose.Schema({
   trainingCenter: {
@@ -68,6 +69,32 @@ const trainingCourseSchema = new mongoose.Schema({
     type: String, // e.g., "Mon-Fri 9AM-5PM", "Weekends only", "Self-paced"
     trim: true
   },
+  // Where in-person and hybrid courses take place
+  location: {
+    city: {
+      type: String,
+      trim: true
+    },
+    state: {
+      type: String,
+      trim: true
+    },
+    country: {
+      type: String,
+      trim: true
+    },
+    // GeoJSON point geocoded from the city (see utils/geo.js)
+    coordinates: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    }
+  },
   price: {
     amount: {
       type: Number,
@@ -126,9 +153,24 @@ const trainingCourseSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived', 'full'],
+    enum: ['draft', 'pending_review', 'published', 'archived', 'full'],
     default: 'draft'
   },
+  // Admin approval under pre-moderation (see utils/moderation.js)
+  moderation: {
+    // Set for new and materially edited courses under pre-moderation and rejected courses
+    reviewRequired: {
+      type: Boolean,
+      default: false
+    },
+    approvedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectedAt: Date,
+    rejectionReason: String
+  },
   rating: {
     average: {
       type: Number,
@@ -154,6 +196,16 @@ trainingCourseSchema.index({ category: 1, mode: 1, level: 1 });
 trainingCourseSchema.index({ 'price.amount': 1 });
 trainingCourseSchema.index({ startDate: 1 });
 trainingCourseSchema.index({ status: 1, createdAt: -1 });
+trainingCourseSchema.index({ status: 1, updatedAt: 1 });
+trainingCourseSchema.index({ 'location.coordinates': '2dsphere' });
+
+// Geocode the location when its city or country changes
+trainingCourseSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('location.city') || this.isModified('location.country')) {
+    this.set('location.coordinates', geocodeLocation(this.location));
+  }
+  next();
+});
 
 // Virtual for checking if course is full
 trainingCourseSchema.virtual('isFull').get(function() {
@@ -1,6 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { verifyTotpCode, hashRecoveryCode } = require('../utils/twoFactor');
+
+// Per-account brute-force protection
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOGIN_LOCK_TIME = (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+// Failed attempts allowed before each new attempt has to wait
+const LOGIN_DELAY_AFTER = 2;
+const LOGIN_MAX_DELAY = 60 * 1000;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -33,13 +41,74 @@ const userSchema = new mongoose.Schema({
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   emailVerificationToken: String,
-  emailVerificationExpire: Date
+  emailVerificationExpire: Date,
+  magicLinkToken: String,
+  magicLinkExpire: Date,
+  // Requested new login email, switched in only after confirmation
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailChangeToken: String,
+  emailChangeExpire: Date,
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret awaiting confirmation during enrollment
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Hashed single-use recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last TOTP time step accepted, prevents replaying a code
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Failed login tracking
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  // Linked OpenID Connect identities (provider id + subject claim)
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+// Index for OpenID Connect logins
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
+
 // Virtual for job seeker profile
 userSchema.virtual('jobSeekerProfile', {
   ref: 'JobSeekerProfile',
@@ -105,4 +174,136 @@ userSchema.methods.getEmailVerificationToken = function() {
   return verificationToken;
 };
 
+// Generate email change confirmation token for the pending address
+userSchema.methods.getEmailChangeToken = function(newEmail) {
+  // Generate token
+  const changeToken = crypto.randomBytes(32).toString('hex');
+
+  // Hash token and set to emailChangeToken field
+  this.emailChangeToken = crypto
+    .createHash('sha256')
+    .update(changeToken)
+    .digest('hex');
+
+  this.pendingEmail = newEmail;
+
+  // Set expire time (1 hour)
+  this.emailChangeExpire = Date.now() + 60 * 60 * 1000;
+
+  return changeToken;
+};
+
+// Generate magic link login token
+userSchema.methods.getMagicLinkToken = function() {
+  // Generate token
+  const magicLinkToken = crypto.randomBytes(32).toString('hex');
+
+  // Hash token and set to magicLinkToken field
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(magicLinkToken)
+    .digest('hex');
+
+  // Set expire time (15 minutes)
+  this.magicLinkExpire = Date.now() + 15 * 60 * 1000;
+
+  return magicLinkToken;
+};
+
+// Verify a TOTP or recovery code (requires the +twoFactor* fields to be selected)
+// Marks the code as used; the caller is responsible for saving the user
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret || !code) {
+    return false;
+  }
+
+  const step = verifyTotpCode(this.twoFactorSecret, code);
+  if (step !== null) {
+    if (this.twoFactorLastUsedStep && step <= this.twoFactorLastUsedStep) {
+      return false;
+    }
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  // Fall back to a recovery code, which can only be used once
+  const codeHash = hashRecoveryCode(code);
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(codeHash);
+  if (index === -1) {
+    return false;
+  }
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Seconds to wait before the next login attempt is accepted (lockout or progressive delay)
+userSchema.methods.getLoginRetryDelay = function() {
+  if (this.isLocked()) {
+    return Math.ceil((this.lockUntil - Date.now()) / 1000);
+  }
+
+  if (this.lockUntil || this.failedLoginAttempts <= LOGIN_DELAY_AFTER || !this.lastFailedLoginAt) {
+    return 0;
+  }
+
+  // 2s, 4s, 8s... capped at LOGIN_MAX_DELAY
+  const delay = Math.min(2 ** (this.failedLoginAttempts - LOGIN_DELAY_AFTER) * 1000, LOGIN_MAX_DELAY);
+  const remaining = this.lastFailedLoginAt.getTime() + delay - Date.now();
+
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+// Record a failed login atomically so parallel attempts are all counted
+// Returns true if this failure locked the account
+userSchema.methods.registerFailedLogin = async function() {
+  const User = this.constructor;
+
+  // Start counting again once a previous lock has expired
+  if (this.lockUntil && this.lockUntil <= Date.now()) {
+    await User.updateOne(
+      { _id: this._id, lockUntil: this.lockUntil },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = updated.lastFailedLoginAt;
+  this.lockUntil = updated.lockUntil;
+
+  if (updated.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS && !updated.isLocked()) {
+    this.lockUntil = new Date(Date.now() + LOGIN_LOCK_TIME);
+    await User.updateOne({ _id: this._id }, { $set: { lockUntil: this.lockUntil } });
+    return true;
+  }
+
+  return false;
+};
+
+// Clear failed login tracking (successful login, password reset or admin unlock)
+userSchema.methods.resetLoginAttempts = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) {
+    return;
+  }
+
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+  );
+};
+
 module.exports = mongoose.model('User', userSchema);
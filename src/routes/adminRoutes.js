@@ -5,13 +5,27 @@ const {
   getDashboardStats,
   getUsers,
   updateUserStatus,
+  unlockUser,
   deleteUser,
   getJobs,
   updateJobStatus,
   deleteJob,
+  getReportQueue,
+  getTargetReports,
+  resolveReports,
+  getModerationQueue,
+  approvePosting,
+  rejectPosting,
+  getModerationHistory,
   getTrainingCenters,
   updateTrainingCenterVerification,
-  getAnalytics
+  getAnalytics,
+  getSettings,
+  updateSettings,
+  getJobCategories,
+  createJobCategory,
+  updateJobCategory,
+  deleteJobCategory
 } = require('../controllers/adminController');
 
 // All routes require admin authentication
@@ -24,6 +38,7 @@ router.get('/dashboard', getDashboardStats);
 // User management
 router.get('/users', getUsers);
 router.put('/users/:id/status', updateUserStatus);
+router.put('/users/:id/unlock', unlockUser);
 router.delete('/users/:id', deleteUser);
 
 // Job moderation
@@ -31,6 +46,23 @@ router.get('/jobs', getJobs);
 router.put('/jobs/:id/status', updateJobStatus);
 router.delete('/jobs/:id', deleteJob);
 
+// Pre-moderation: jobs and courses awaiting approval (?targetType=job|course)
+router.get('/moderation/queue', getModerationQueue);
+router.get('/moderation/history', getModerationHistory);
+router.post('/moderation/:targetType/:id/approve', approvePosting);
+router.post('/moderation/:targetType/:id/reject', rejectPosting);
+
+// Abuse reports, grouped by reported job, course, employer or training center
+router.get('/reports', getReportQueue);
+router.get('/reports/:targetType/:targetId', getTargetReports);
+router.post('/reports/:targetType/:targetId/resolve', resolveReports);
+
+// Job category taxonomy
+router.get('/job-categories', getJobCategories);
+router.post('/job-categories', createJobCategory);
+router.put('/job-categories/:id', updateJobCategory);
+router.delete('/job-categories/:id', deleteJobCategory);
+
 // Training center verification
 router.get('/training-centers', getTrainingCenters);
 router.put('/training-centers/:id/verify', updateTrainingCenterVerification);
@@ -38,4 +70,8 @@ router.put('/training-centers/:id/verify', updateTrainingCenterVerification);
 // Analytics
 router.get('/analytics', getAnalytics);
 
+// Platform settings
+router.get('/settings', getSettings);
+router.put('/settings', updateSettings);
+
 module.exports = router;
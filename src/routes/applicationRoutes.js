@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, apiKeyScope, authorize } = require('../middleware/auth');
+const { loadEmployerContext, requireEmployerPermission } = require('../middleware/employerContext');
 const {
   submitApplication,
   getJobSeekerApplications,
@@ -53,15 +54,15 @@ router.get('/', protect, authorize('jobseeker'), getJobSeekerApplications);
 router.get('/check/:jobId', protect, authorize('jobseeker'), checkApplication);
 router.put('/:id/withdraw', protect, authorize('jobseeker'), withdrawApplication);
 
-// Employer routes
-router.get('/employer', protect, authorize('employer'), getEmployerApplications);
-router.get('/job/:jobId', protect, authorize('employer'), getApplicationsForJob);
-router.put('/bulk-status', protect, authorize('employer'), bulkUpdateStatus);
-router.put('/:id/status', protect, authorize('employer'), updateApplicationStatus);
-router.post('/:id/feedback', protect, authorize('employer'), provideFeedback);
-router.post('/:id/interview', protect, authorize('employer'), scheduleInterview);
+// Employer routes (company owner or team members with the matching permission)
+router.get('/employer', apiKeyScope('applications:read'), protect, authorize('employer'), requireEmployerPermission('view_applications'), getEmployerApplications);
+router.get('/job/:jobId', apiKeyScope('applications:read'), protect, authorize('employer'), requireEmployerPermission('view_applications'), getApplicationsForJob);
+router.put('/bulk-status', protect, authorize('employer'), requireEmployerPermission('change_status'), bulkUpdateStatus);
+router.put('/:id/status', protect, authorize('employer'), requireEmployerPermission('change_status'), updateApplicationStatus);
+router.post('/:id/feedback', protect, authorize('employer'), requireEmployerPermission('change_status'), provideFeedback);
+router.post('/:id/interview', protect, authorize('employer'), requireEmployerPermission('schedule_interviews'), scheduleInterview);
 
 // Shared routes (both job seeker and employer can access)
-router.get('/:id', protect, getApplicationById);
+router.get('/:id', apiKeyScope('applications:read'), protect, loadEmployerContext, getApplicationById);
 
 module.exports = router;
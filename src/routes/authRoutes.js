@@ -5,18 +5,36 @@ const {
   register,
   login,
   getMe,
+  refreshToken,
   logout,
+  requestMagicLink,
+  verifyMagicLink,
+  getOidcProviders,
+  startOidcLogin,
+  startOidcLink,
+  completeOidcLogin,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   forgotPassword,
   resetPassword,
   changePassword,
+  requestEmailChange,
+  confirmEmailChange,
   deleteAccount,
   verifyEmail,
   resendVerification
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { protect, protectOrChallenge, authorize } = require('../middleware/auth');
 const {
   authLimiter,
   passwordResetLimiter,
+  magicLinkLimiter,
   registrationLimiter
 } = require('../middleware/rateLimiter');
 
@@ -48,12 +66,45 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const changeEmailValidation = [
+  body('newEmail')
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail(),
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required')
+];
+
 // Routes
 router.post('/register', registrationLimiter, registerValidation, register);
 router.post('/login', authLimiter, loginValidation, login);
 router.get('/me', protect, getMe);
+router.post('/refresh', authLimiter, refreshToken);
 router.post('/logout', protect, logout);
 
+// Passwordless magic link login
+router.post('/magic-link', magicLinkLimiter, requestMagicLink);
+router.post('/magic-link/verify', authLimiter, verifyMagicLink);
+
+// OpenID Connect login with external identity providers
+router.get('/oidc/providers', getOidcProviders);
+router.get('/oidc/:provider/authorize', authLimiter, startOidcLogin);
+router.post('/oidc/:provider/link', protect, startOidcLink);
+router.post('/oidc/callback', authLimiter, completeOidcLogin);
+
+// Two-factor authentication routes
+router.post('/2fa/verify', authLimiter, verifyTwoFactorLogin);
+router.post('/2fa/setup', protectOrChallenge('2fa_setup'), authorize('employer', 'admin'), setupTwoFactor);
+router.post('/2fa/enable', authLimiter, protectOrChallenge('2fa_setup'), authorize('employer', 'admin'), enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+// Session management routes
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
 // Password management routes
 router.post('/forgot-password', passwordResetLimiter, forgotPassword);
 router.post('/reset-password', passwordResetLimiter, resetPassword);
@@ -63,6 +114,10 @@ router.put('/change-password', protect, changePassword);
 router.post('/verify-email', verifyEmail);
 router.post('/resend-verification', passwordResetLimiter, resendVerification);
 
+// Email change routes
+router.put('/change-email', protect, passwordResetLimiter, changeEmailValidation, requestEmailChange);
+router.post('/confirm-email-change', confirmEmailChange);
+
 // Account management routes
 router.delete('/delete-account', protect, deleteAccount);
 
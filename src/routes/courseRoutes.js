@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, optionalAuth, authorize } = require('../middleware/auth');
 const {
   createCourse,
   getMyCourses,
@@ -15,7 +15,8 @@ const {
   getCategories,
   getMyInquiryForCourse,
   getUserInquiries,
-  recordCourseView
+  recordCourseView,
+  getCourseAnalytics
 } = require('../controllers/courseController');
 
 // Public routes
@@ -33,12 +34,15 @@ router.get('/user/inquiries', protect, authorize('jobseeker'), getUserInquiries)
 
 // Public course detail route - after /me/* and /user/* routes
 router.get('/:id', getCourseById);
-router.post('/:id/view', recordCourseView);
+// Signed-in viewers are deduplicated by account, others by browser fingerprint
+router.post('/:id/view', optionalAuth, recordCourseView);
 
 // Protected routes for course management and inquiries
 router.post('/', protect, authorize('training_center'), createCourse);
 router.put('/:id', protect, authorize('training_center'), updateCourse);
 router.delete('/:id', protect, authorize('training_center'), deleteCourse);
+// Daily views, unique viewers, bookmarks and inquiries (?days=30)
+router.get('/:id/analytics', protect, authorize('training_center'), getCourseAnalytics);
 
 // Job seeker inquiry routes
 router.get('/:id/my-inquiry', protect, authorize('jobseeker'), getMyInquiryForCourse);
@@ -8,10 +8,27 @@ const {
   uploadLogo,
   uploadCoverImage,
   getAllEmployers,
+  getDashboardStats,
 } = require('../controllers/employerController');
+const {
+  getTeam,
+  inviteMember,
+  updateMember,
+  removeMember,
+  leaveTeam,
+  acceptInvitation,
+} = require('../controllers/teamController');
+const {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+} = require('../controllers/apiKeyController');
 const { protect } = require('../middleware/auth');
 const { checkRole } = require('../middleware/checkRole');
+const { loadEmployerContext, requireEmployerPermission, requireCompanyOwner } = require('../middleware/employerContext');
 const { uploadLogo: logoUpload, uploadImage } = require('../middleware/upload');
+const { authLimiter } = require('../middleware/rateLimiter');
 
 // Public routes
 router.get('/', getAllEmployers);
@@ -20,13 +37,30 @@ router.get('/:userId/jobs', getEmployerJobs);
 
 // Protected routes
 router.route('/profile')
-  .get(protect, checkRole('employer'), getProfile)
-  .post(protect, checkRole('employer'), createOrUpdateProfile);
+  .get(protect, checkRole('employer'), loadEmployerContext, getProfile)
+  .post(protect, checkRole('employer'), requireCompanyOwner, createOrUpdateProfile);
+
+// Hiring funnel dashboard
+router.get('/dashboard', protect, checkRole('employer'), requireEmployerPermission('view_applications'), getDashboardStats);
 
 // Logo upload
-router.post('/logo', protect, checkRole('employer'), logoUpload.single('logo'), uploadLogo);
+router.post('/logo', protect, checkRole('employer'), requireCompanyOwner, logoUpload.single('logo'), uploadLogo);
 
 // Cover image upload
-router.post('/cover', protect, checkRole('employer'), uploadImage.single('cover'), uploadCoverImage);
+router.post('/cover', protect, checkRole('employer'), requireCompanyOwner, uploadImage.single('cover'), uploadCoverImage);
+
+// Team management
+router.post('/team/accept', authLimiter, acceptInvitation);
+router.get('/team', protect, checkRole('employer'), loadEmployerContext, getTeam);
+router.post('/team/invitations', protect, checkRole('employer'), requireCompanyOwner, inviteMember);
+router.post('/team/leave', protect, checkRole('employer'), loadEmployerContext, leaveTeam);
+router.put('/team/:memberId', protect, checkRole('employer'), requireCompanyOwner, updateMember);
+router.delete('/team/:memberId', protect, checkRole('employer'), requireCompanyOwner, removeMember);
+
+// API key management (company owner only)
+router.get('/api-keys', protect, checkRole('employer'), requireCompanyOwner, getApiKeys);
+router.post('/api-keys', protect, checkRole('employer'), requireCompanyOwner, createApiKey);
+router.put('/api-keys/:id', protect, checkRole('employer'), requireCompanyOwner, updateApiKey);
+router.delete('/api-keys/:id', protect, checkRole('employer'), requireCompanyOwner, revokeApiKey);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { loadEmployerContext } = require('../middleware/employerContext');
+const { createDownloadLink, downloadFile } = require('../controllers/fileController');
+
+// Issue a short-lived link for a single resume or cover letter
+router.post('/links', protect, loadEmployerContext, createDownloadLink);
+
+// Public - the signed token in the URL is the authorization
+router.get('/download/:token', downloadFile);
+
+module.exports = router;
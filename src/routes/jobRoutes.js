@@ -8,25 +8,46 @@ const {
   updateJob,
   deleteJob,
   toggleJobStatus,
+  extendJob,
   recordJobView,
   getRecommendedJobs,
+  getJobFeed,
+  getJobJsonLd,
+  importJobs,
+  getJobCategories,
+  getJobAnalytics,
 } = require('../controllers/jobController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, optionalAuth, apiKeyScope, authorize } = require('../middleware/auth');
+const { loadEmployerContext, requireEmployerPermission } = require('../middleware/employerContext');
+const { uploadJobImport } = require('../middleware/upload');
 
 // Public routes
 router.get('/', getAllJobs);
 
+// Category tree with job counts - must come before /:id
+router.get('/categories', getJobCategories);
+
+// Syndication feeds - must come before /:id
+router.get('/feed.xml', getJobFeed);
+
 // Protected route for job seekers - must come before /:id
 router.get('/recommended', protect, authorize('jobseeker'), getRecommendedJobs);
 
 router.get('/:id', getJobById);
-router.post('/:id/view', recordJobView);
+router.get('/:id/jsonld', getJobJsonLd);
+// Signed-in viewers are deduplicated by account, others by browser fingerprint
+router.post('/:id/view', optionalAuth, recordJobView);
 
-// Protected routes (Employer only)
-router.post('/', protect, authorize('employer'), createJob);
-router.get('/employer/me', protect, authorize('employer'), getEmployerJobs);
-router.put('/:id', protect, authorize('employer'), updateJob);
-router.put('/:id/status', protect, authorize('employer'), toggleJobStatus);
-router.delete('/:id', protect, authorize('employer'), deleteJob);
+// Protected routes (Employer, team members and employer API keys)
+router.post('/', apiKeyScope('jobs:write'), protect, authorize('employer'), requireEmployerPermission('post_jobs'), createJob);
+// Bulk import: multipart "file" (.csv or .json) or a JSON body with jobs or csv; ?dryRun=true to preview
+router.post('/import', apiKeyScope('jobs:write'), protect, authorize('employer'), requireEmployerPermission('post_jobs'), uploadJobImport.single('file'), importJobs);
+router.get('/employer/me', apiKeyScope('jobs:read'), protect, authorize('employer'), loadEmployerContext, getEmployerJobs);
+router.put('/:id', apiKeyScope('jobs:write'), protect, authorize('employer'), requireEmployerPermission('post_jobs'), updateJob);
+router.put('/:id/status', apiKeyScope('jobs:write'), protect, authorize('employer'), requireEmployerPermission('post_jobs'), toggleJobStatus);
+// Daily views, unique viewers, bookmarks and applications (?days=30)
+router.get('/:id/analytics', apiKeyScope('jobs:read'), protect, authorize('employer'), loadEmployerContext, getJobAnalytics);
+router.put('/:id/extend', apiKeyScope('jobs:write'), protect, authorize('employer'), requireEmployerPermission('post_jobs'), extendJob);
+router.delete('/:id', apiKeyScope('jobs:write'), protect, authorize('employer'), requireEmployerPermission('post_jobs'), deleteJob);
 
 module.exports = router;
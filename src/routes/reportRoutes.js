@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { createReport, getMyReports } = require('../controllers/reportController');
+const { protect } = require('../middleware/auth');
+const { reportLimiter } = require('../middleware/rateLimiter');
+
+// All routes require authentication
+router.use(protect);
+
+// Report a job, course, employer or training center
+router.post('/', reportLimiter, createReport);
+
+// Reports submitted by the current user and their outcome
+router.get('/mine', getMyReports);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  pauseSavedSearch,
+  resumeSavedSearch,
+  deleteSavedSearch
+} = require('../controllers/savedSearchController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require authentication and jobseeker role
+router.use(protect);
+router.use(authorize('jobseeker'));
+
+// List saved searches
+router.get('/', getSavedSearches);
+
+// Save a job search (same filters as GET /api/jobs)
+router.post('/', createSavedSearch);
+
+// Edit name, filters, frequency or channels
+router.put('/:id', updateSavedSearch);
+
+// Pause or resume job alerts
+router.put('/:id/pause', pauseSavedSearch);
+router.put('/:id/resume', resumeSavedSearch);
+
+// Delete a saved search
+router.delete('/:id', deleteSavedSearch);
+
+module.exports = router;
@@ -2,6 +2,7 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/database');
+const { startJobScheduler } = require('./utils/jobScheduler');
 
 // Connect to database
 connectDB();
@@ -31,6 +32,9 @@ app.use('/api/training-centers', require('./routes/trainingCenterRoutes'));
 app.use('/api/courses', require('./routes/courseRoutes'));
 app.use('/api/admin', require('./routes/adminRoutes'));
 app.use('/api/bookmarks', require('./routes/bookmarkRoutes'));
+app.use('/api/saved-searches', require('./routes/savedSearchRoutes'));
+app.use('/api/reports', require('./routes/reportRoutes'));
+app.use('/api/files', require('./routes/fileRoutes'));
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -59,4 +63,7 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+
+  // Publish scheduled jobs and close expired ones
+  startJobScheduler();
 });
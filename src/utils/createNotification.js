@@ -119,6 +119,55 @@ const notifyJobRecommendation = async (jobSeekerId, jobId, jobTitle, companyName
   });
 };
 
+const notifySavedSearchMatch = async (jobSeekerId, jobId, jobTitle, companyName, searchName) => {
+  return createNotification({
+    recipient: jobSeekerId,
+    type: 'job_alert',
+    title: 'New Job Alert',
+    message: `${jobTitle} at ${companyName} matches your saved search "${searchName}"`,
+    relatedJob: jobId,
+    link: `/jobs/${jobId}`
+  });
+};
+
+const notifySavedSearchDigest = async (jobSeekerId, searchId, searchName, jobCount) => {
+  return createNotification({
+    recipient: jobSeekerId,
+    type: 'job_alert',
+    title: 'New Job Alerts',
+    message: `${jobCount} new ${jobCount === 1 ? 'job matches' : 'jobs match'} your saved search "${searchName}"`,
+    link: `/saved-searches/${searchId}`
+  });
+};
+
+const notifyJobExpiring = async (employerId, jobId, jobTitle, deadline) => {
+  const formattedDate = new Date(deadline).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  return createNotification({
+    recipient: employerId,
+    type: 'job_expiring',
+    title: 'Job Posting Expiring Soon',
+    message: `Your job posting "${jobTitle}" will close on ${formattedDate}. Extend the deadline to keep receiving applications.`,
+    relatedJob: jobId,
+    link: `/dashboard/employer/jobs`
+  });
+};
+
+const notifyJobExpired = async (employerId, jobId, jobTitle) => {
+  return createNotification({
+    recipient: employerId,
+    type: 'job_expired',
+    title: 'Job Posting Expired',
+    message: `Your job posting "${jobTitle}" has reached its deadline and was closed. You can extend it to reopen it.`,
+    relatedJob: jobId,
+    link: `/dashboard/employer/jobs`
+  });
+};
+
 const notifyWelcome = async (userId, role) => {
   const roleMessages = {
     jobseeker: 'Welcome to JobAgency! Complete your profile to start applying for jobs.',
@@ -135,6 +184,37 @@ const notifyWelcome = async (userId, role) => {
   });
 };
 
+const notifyReportOutcome = async (reporterId, targetName, outcome) => {
+  const outcomeMessages = {
+    dismissed: `Thanks for your report about "${targetName}". We reviewed it and found no violation of our policies.`,
+    actioned: `Thanks for your report about "${targetName}". We reviewed it and took action.`
+  };
+
+  return createNotification({
+    recipient: reporterId,
+    type: 'report_update',
+    title: 'Report Reviewed',
+    message: outcomeMessages[outcome] || `Your report about "${targetName}" has been reviewed.`,
+    link: '/reports'
+  });
+};
+
+const notifyModerationDecision = async (ownerId, targetType, targetId, title, decision, reason) => {
+  const label = targetType === 'course' ? 'course' : 'job posting';
+  const message = decision === 'approved'
+    ? `Your ${label} "${title}" has been approved and is now live.`
+    : `Your ${label} "${title}" was not approved. Reason: ${reason}. Please edit it and submit it again.`;
+
+  return createNotification({
+    recipient: ownerId,
+    type: 'moderation_decision',
+    title: decision === 'approved' ? 'Posting Approved' : 'Posting Not Approved',
+    message,
+    relatedJob: targetType === 'job' ? targetId : undefined,
+    link: targetType === 'course' ? '/dashboard/training-center/courses' : '/dashboard/employer/jobs'
+  });
+};
+
 const notifyEmployerBanned = async (jobSeekerId, companyName, jobTitle) => {
   return createNotification({
     recipient: jobSeekerId,
@@ -162,7 +242,13 @@ module.exports = {
   notifyInterviewScheduled,
   notifyFeedbackReceived,
   notifyJobRecommendation,
+  notifySavedSearchMatch,
+  notifySavedSearchDigest,
+  notifyJobExpiring,
+  notifyJobExpired,
   notifyWelcome,
+  notifyReportOutcome,
+  notifyModerationDecision,
   notifyEmployerBanned,
   notifyTrainingCenterBanned
 };
@@ -0,0 +1,168 @@
+// Offline geocoding and radius search helpers.
+// Coordinates come from the city gazetteer bundled in src/data/cities.json,
+// so no external geocoding service is needed.
+const cities = require('../data/cities.json');
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// City name and aliases -> gazetteer entries (a name can exist in several countries)
+const cityIndex = new Map();
+cities.forEach(city => {
+  [city.name, ...(city.aliases || [])].forEach(name => {
+    const key = normalize(name);
+    cityIndex.set(key, [...(cityIndex.get(key) || []), city]);
+  });
+});
+
+/**
+ * Look up a city in the gazetteer, preferring a match in `country` when given.
+ * @returns {Object|null} Gazetteer entry with name, country, lat and lng
+ */
+const findCity = (name, country) => {
+  const matches = cityIndex.get(normalize(name));
+  if (!matches) return null;
+  return matches.find(city => normalize(city.country) === normalize(country)) || matches[0];
+};
+
+/**
+ * Geocode a { city, country } location to a GeoJSON point, or undefined if unknown.
+ */
+const geocodeLocation = (location) => {
+  if (!location || !location.city) return undefined;
+  const city = findCity(location.city, location.country);
+  return city ? { type: 'Point', coordinates: [city.lng, city.lat] } : undefined;
+};
+
+// Great-circle distance in kilometres between two [lng, lat] points
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const roundKm = (km) => Math.round(km * 10) / 10;
+
+/**
+ * Read lat/lng (or near=<city>) and radius (km) query parameters.
+ * @returns {{ point: number[], radiusKm: number } | { error: string } | null}
+ */
+const parseGeoQuery = ({ lat, lng, near, radius }) => {
+  let point;
+
+  if (lat !== undefined || lng !== undefined) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+      return { error: 'lat must be between -90 and 90 and lng between -180 and 180' };
+    }
+    point = [longitude, latitude];
+  } else if (near) {
+    const city = findCity(near);
+    if (!city) {
+      return { error: `Unknown location: ${near}` };
+    }
+    point = [city.lng, city.lat];
+  } else {
+    return null;
+  }
+
+  const radiusKm = radius === undefined ? DEFAULT_RADIUS_KM : parseFloat(radius);
+  if (!(radiusKm > 0)) {
+    return { error: 'radius must be a positive number of kilometres' };
+  }
+
+  return { point, radiusKm: Math.min(radiusKm, MAX_RADIUS_KM) };
+};
+
+// Filter clause for documents whose `field` lies within the search radius
+const withinRadius = (field, { point, radiusKm }) => ({
+  [field]: { $geoWithin: { $centerSphere: [point, radiusKm / EARTH_RADIUS_KM] } }
+});
+
+// $geoNear stage sorting by distance; `distance` is set in kilometres
+const geoNearStage = (field, { point, radiusKm }, query) => ({
+  $geoNear: {
+    near: { type: 'Point', coordinates: point },
+    key: field,
+    distanceField: 'distance',
+    distanceMultiplier: 0.001,
+    maxDistance: radiusKm * 1000,
+    spherical: true,
+    query
+  }
+});
+
+// Paths marked `select: false` in a schema and its subdocuments
+const getHiddenPaths = (schema, prefix = '') => {
+  const paths = [];
+  schema.eachPath((path, schemaType) => {
+    if (schemaType.options?.select === false) {
+      paths.push(`${prefix}${path}`);
+    } else if (schemaType.schema) {
+      paths.push(...getHiddenPaths(schemaType.schema, `${prefix}${path}.`));
+    }
+  });
+  return paths;
+};
+
+/**
+ * Find one page of documents, adding `distance` (km) when searching by radius.
+ * Sorting by distance runs a $geoNear aggregation; other sorts use a normal find.
+ * @param {Model} Model - Mongoose model with a 2dsphere index on `<field>`
+ * @param {Object} options - filter (without the radius clause when sorting by distance),
+ *   geo, field (e.g. 'location.coordinates'), sort ('distance' or a sort object), skip, limit, populate,
+ *   exclude (paths left out of the results)
+ */
+const findWithDistance = async (Model, { filter, geo, field, sort, skip, limit, populate, exclude = [] }) => {
+  if (geo && sort === 'distance') {
+    // Aggregations ignore `select: false`, so hidden paths are left out here
+    const hidden = [...new Set([...getHiddenPaths(Model.schema), ...exclude])];
+    const docs = await Model.aggregate([
+      geoNearStage(field, geo, filter),
+      { $skip: skip },
+      { $limit: limit },
+      ...(hidden.length ? [{ $project: Object.fromEntries(hidden.map(path => [path, 0])) }] : [])
+    ]);
+    docs.forEach(doc => {
+      doc.distance = roundKm(doc.distance);
+    });
+    return Model.populate(docs, populate);
+  }
+
+  const docs = await Model.find(filter)
+    .select(exclude.map(path => `-${path}`).join(' '))
+    .populate(populate)
+    .sort(sort)
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  if (geo) {
+    docs.forEach(doc => {
+      const point = field.split('.').reduce((value, key) => value && value[key], doc);
+      if (point && point.coordinates) {
+        doc.distance = roundKm(distanceKm(geo.point, point.coordinates));
+      }
+    });
+  }
+
+  return docs;
+};
+
+module.exports = {
+  findCity,
+  geocodeLocation,
+  distanceKm,
+  roundKm,
+  parseGeoQuery,
+  withinRadius,
+  geoNearStage,
+  findWithDistance
+};
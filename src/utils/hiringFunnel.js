@@ -0,0 +1,189 @@
+// Employer hiring funnel: views -> applications -> shortlisted -> interview -> hired,
+// with review and hiring times taken from Application.statusHistory.
+// Applications count towards the period in which they were submitted.
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const ItemViewStat = require('../models/ItemViewStat');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const FUNNEL_STAGES = ['views', 'applications', 'shortlisted', 'interview', 'hired'];
+
+// An application that reached a later stage also passed the earlier ones,
+// even when the employer skipped a status
+const STAGE_RANKS = { shortlisted: 1, interview: 2, hired: 3 };
+
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : null);
+
+const summarizeDurations = (durations, unitMs) => {
+  if (durations.length === 0) {
+    return { count: 0, average: null, median: null };
+  }
+  const sorted = [...durations].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const average = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return { count: sorted.length, average: round(average / unitMs), median: round(median / unitMs) };
+};
+
+const emptyStats = () => ({
+  views: 0,
+  applications: 0,
+  shortlisted: 0,
+  interview: 0,
+  hired: 0,
+  reviewDurations: [],
+  hireDurations: []
+});
+
+// Add one application to the stats: the furthest stage it reached, the first
+// employer decision (automatic rejections and withdrawals do not count) and the hire
+const addApplication = (stats, application) => {
+  const history = application.statusHistory || [];
+  const appliedAt = new Date(application.appliedDate || application.createdAt).getTime();
+
+  const rank = Math.max(0, ...[application.status, ...history.map(entry => entry.status)]
+    .map(status => STAGE_RANKS[status] || 0));
+
+  stats.applications += 1;
+  if (rank >= STAGE_RANKS.shortlisted) stats.shortlisted += 1;
+  if (rank >= STAGE_RANKS.interview) stats.interview += 1;
+  if (rank >= STAGE_RANKS.hired) stats.hired += 1;
+
+  const firstReview = history.find(entry =>
+    entry.changedBy && !['pending', 'withdrawn'].includes(entry.status));
+  if (firstReview) {
+    stats.reviewDurations.push(Math.max(0, new Date(firstReview.changedAt).getTime() - appliedAt));
+  }
+
+  const hire = history.find(entry => entry.status === 'hired');
+  if (hire) {
+    stats.hireDurations.push(Math.max(0, new Date(hire.changedAt).getTime() - appliedAt));
+  }
+};
+
+/**
+ * Turn raw stats into funnel stages with conversion from the previous stage
+ * and the share that dropped off, plus review and hiring times.
+ */
+const toFunnel = (stats) => ({
+  stages: FUNNEL_STAGES.map((stage, index) => {
+    const previous = index > 0 ? stats[FUNNEL_STAGES[index - 1]] : null;
+    const conversionRate = previous === null ? null : percent(stats[stage], previous);
+    return {
+      stage,
+      count: stats[stage],
+      conversionRate,
+      dropOffRate: conversionRate === null ? null : round(100 - conversionRate)
+    };
+  }),
+  overallConversionRate: percent(stats.hired, stats.applications),
+  timeToFirstReviewHours: summarizeDurations(stats.reviewDurations, HOUR_MS),
+  timeToHireDays: summarizeDurations(stats.hireDurations, DAY_MS)
+});
+
+// Load views and applications of the company's jobs in [from, to), per job
+const collectStats = async (jobIds, employerId, from, to) => {
+  const [views, applications] = await Promise.all([
+    ItemViewStat.aggregate([
+      { $match: { itemType: 'job', itemId: { $in: jobIds }, day: { $gte: from, $lt: to } } },
+      { $group: { _id: '$itemId', views: { $sum: '$views' } } }
+    ]),
+    Application.find({ employer: employerId, appliedDate: { $gte: from, $lt: to } })
+      .select('job status appliedDate createdAt statusHistory.status statusHistory.changedAt statusHistory.changedBy')
+      .lean()
+  ]);
+
+  const overall = emptyStats();
+  const byJob = new Map();
+  const statsFor = (jobId) => {
+    const key = jobId.toString();
+    if (!byJob.has(key)) byJob.set(key, emptyStats());
+    return byJob.get(key);
+  };
+
+  views.forEach(row => {
+    statsFor(row._id).views += row.views;
+    overall.views += row.views;
+  });
+  applications.forEach(application => {
+    addApplication(statsFor(application.job), application);
+    addApplication(overall, application);
+  });
+
+  return { overall, byJob };
+};
+
+// Change from the previous period, in percent
+const compare = (current, previous) => ({
+  current,
+  previous,
+  change: previous ? round(((current - previous) / previous) * 100) : null
+});
+
+/**
+ * Hiring funnel of a company for the last `days` UTC days (including today),
+ * per job and overall, compared with the `days` before that. Periods start at
+ * UTC midnight, like the daily view stats, so views and applications cover
+ * the same window.
+ * @param {ObjectId} employerId - Company account
+ */
+const getHiringFunnel = async (employerId, { days = 30 } = {}) => {
+  const span = Math.min(365, Math.max(1, parseInt(days) || 30));
+  const to = new Date();
+  const from = new Date(startOfUtcDay(to).getTime() - (span - 1) * DAY_MS);
+  const previousFrom = new Date(from.getTime() - span * DAY_MS);
+
+  const jobs = await Job.find({ employer: employerId }).select('title status').lean();
+  const jobIds = jobs.map(job => job._id);
+
+  const [current, previous] = await Promise.all([
+    collectStats(jobIds, employerId, from, to),
+    collectStats(jobIds, employerId, previousFrom, from)
+  ]);
+
+  const currentFunnel = toFunnel(current.overall);
+  const previousFunnel = toFunnel(previous.overall);
+
+  const trends = {};
+  FUNNEL_STAGES.forEach(stage => {
+    trends[stage] = compare(current.overall[stage], previous.overall[stage]);
+  });
+  trends.overallConversionRate = compare(currentFunnel.overallConversionRate, previousFunnel.overallConversionRate);
+  trends.medianHoursToFirstReview = compare(
+    currentFunnel.timeToFirstReviewHours.median,
+    previousFunnel.timeToFirstReviewHours.median
+  );
+  trends.medianDaysToHire = compare(currentFunnel.timeToHireDays.median, previousFunnel.timeToHireDays.median);
+
+  // Jobs with activity in the period, busiest first
+  const jobFunnels = jobs
+    .filter(job => current.byJob.has(job._id.toString()))
+    .map(job => ({
+      job: { _id: job._id, title: job.title, status: job.status },
+      ...toFunnel(current.byJob.get(job._id.toString()))
+    }))
+    .sort((a, b) => b.stages[1].count - a.stages[1].count || b.stages[0].count - a.stages[0].count);
+
+  return {
+    period: { from, to, days: span },
+    previousPeriod: { from: previousFrom, to: from },
+    overall: currentFunnel,
+    trends,
+    jobs: jobFunnels
+  };
+};
+
+module.exports = {
+  FUNNEL_STAGES,
+  getHiringFunnel
+};
@@ -0,0 +1,149 @@
+// View tracking for jobs and courses: ignore bots, count each viewer once per
+// dedupe window, and keep daily view and unique viewer counts for time series
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const TrainingCourse = require('../models/TrainingCourse');
+const Application = require('../models/Application');
+const CourseInquiry = require('../models/CourseInquiry');
+const Bookmark = require('../models/Bookmark');
+const ItemViewer = require('../models/ItemViewer');
+const ItemViewStat = require('../models/ItemViewStat');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SERIES_DAYS = 30;
+const MAX_SERIES_DAYS = 365;
+
+// Crawlers, link previews, monitoring services and HTTP libraries
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|bingpreview|facebookexternalhit|embedly|whatsapp|telegram|skypeuripreview|headless|phantomjs|lighthouse|pingdom|uptime|curl|wget|python-requests|httpclient|okhttp|axios|node-fetch|go-http-client|java\//i;
+
+// Each item's model and what counts as a response to it
+const VIEW_ITEMS = {
+  job: { model: Job, responses: { model: Application, field: 'job', name: 'applications' } },
+  course: { model: TrainingCourse, responses: { model: CourseInquiry, field: 'course', name: 'inquiries' } }
+};
+
+const getDedupeWindowMs = () => (parseInt(process.env.VIEW_DEDUPE_MINUTES) || 30) * 60 * 1000;
+
+const isBotUserAgent = (userAgent) => !userAgent || BOT_USER_AGENT.test(userAgent);
+
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+// Signed-in users are counted by account, anonymous visitors by a hash of their IP and browser
+const getViewerKey = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+  const fingerprint = [req.ip, req.headers['user-agent'], req.headers['accept-language']].join('|');
+  return `anon:${crypto.createHash('sha256').update(fingerprint).digest('hex')}`;
+};
+
+/**
+ * Record a view of a job or course unless it comes from a bot or repeats
+ * within the dedupe window (VIEW_DEDUPE_MINUTES, default 30).
+ * @returns {Promise<boolean>} Whether the view was counted
+ */
+const recordItemView = async (itemType, itemId, req) => {
+  if (isBotUserAgent(req.headers['user-agent'])) {
+    return false;
+  }
+
+  const now = new Date();
+  const viewer = getViewerKey(req);
+  let previous;
+
+  try {
+    // Only matches viewers last counted before the window. A viewer inside it makes
+    // the upsert collide with the unique index, so concurrent repeats count once.
+    previous = await ItemViewer.findOneAndUpdate(
+      { itemType, itemId, viewer, lastViewedAt: { $lte: new Date(now.getTime() - getDedupeWindowMs()) } },
+      { $set: { lastViewedAt: now } },
+      { upsert: true, new: false }
+    );
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  const today = startOfUtcDay(now);
+  const firstViewToday = !previous || previous.lastViewedAt < today;
+
+  await Promise.all([
+    ItemViewStat.updateOne(
+      { itemType, itemId, day: today },
+      { $inc: { views: 1, uniqueViewers: firstViewToday ? 1 : 0 } },
+      { upsert: true }
+    ),
+    VIEW_ITEMS[itemType].model.updateOne({ _id: itemId }, { $inc: { viewCount: 1 } })
+  ]);
+
+  return true;
+};
+
+const countByDay = async (Model, match, since) => {
+  const rows = await Model.aggregate([
+    { $match: { ...match, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [row._id, row.count]));
+};
+
+/**
+ * Daily views, unique viewers, bookmarks and applications (jobs) or inquiries
+ * (courses) for the last `days` UTC days, oldest first, with empty days as zeros.
+ * Totals of uniqueViewers add up the daily unique viewers.
+ * @param {ObjectId} itemId
+ * @returns {Promise<{ from: string, to: string, series: Object[], totals: Object }>}
+ */
+const getItemTimeSeries = async (itemType, itemId, days) => {
+  const { responses } = VIEW_ITEMS[itemType];
+  const span = Math.min(MAX_SERIES_DAYS, Math.max(1, parseInt(days) || DEFAULT_SERIES_DAYS));
+  const since = new Date(startOfUtcDay(new Date()).getTime() - (span - 1) * DAY_MS);
+
+  const [stats, bookmarks, responseCounts] = await Promise.all([
+    ItemViewStat.find({ itemType, itemId, day: { $gte: since } }).lean(),
+    countByDay(Bookmark, { itemType, itemId }, since),
+    countByDay(responses.model, { [responses.field]: itemId }, since)
+  ]);
+  const statsByDay = new Map(stats.map(stat => [toDateKey(stat.day), stat]));
+
+  const totals = { views: 0, uniqueViewers: 0, bookmarks: 0, [responses.name]: 0 };
+  const series = [];
+  for (let i = 0; i < span; i++) {
+    const date = toDateKey(new Date(since.getTime() + i * DAY_MS));
+    const day = {
+      date,
+      views: statsByDay.get(date)?.views || 0,
+      uniqueViewers: statsByDay.get(date)?.uniqueViewers || 0,
+      bookmarks: bookmarks.get(date) || 0,
+      [responses.name]: responseCounts.get(date) || 0
+    };
+    Object.keys(totals).forEach(key => {
+      totals[key] += day[key];
+    });
+    series.push(day);
+  }
+
+  return {
+    from: series[0].date,
+    to: series[series.length - 1].date,
+    series,
+    totals
+  };
+};
+
+module.exports = {
+  isBotUserAgent,
+  recordItemView,
+  getItemTimeSeries
+};
@@ -0,0 +1,204 @@
+// Job alerts for saved searches.
+//
+// When jobs are created or activated, every active saved search is checked
+// against them. Instant searches are alerted right away; daily and weekly
+// searches queue the job for their next digest. A job id is recorded on the
+// search once sent, so a search never alerts the same job twice.
+const Job = require('../models/Job');
+const SavedSearch = require('../models/SavedSearch');
+const JobCategory = require('../models/JobCategory');
+const { buildJobSearch, couldMatchJob } = require('./jobSearch');
+const { notifySavedSearchMatch, notifySavedSearchDigest } = require('./createNotification');
+const { sendJobAlertEmail } = require('./sendEmail');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DIGEST_INTERVALS = { daily: DAY, weekly: 7 * DAY };
+
+// Ids kept per search: enough to stop repeats without growing documents forever
+const NOTIFIED_JOBS_LIMIT = 500;
+const PENDING_JOBS_LIMIT = 100;
+const DIGEST_EMAIL_LIMIT = 20;
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Ids and slugs of each job's category and its ancestors, for couldMatchJob
+const loadCategoryKeys = async (jobs) => {
+  const categoryIds = [...new Set(jobs.filter(job => job.category).map(job => job.category.toString()))];
+  const categories = await JobCategory.find({ _id: { $in: categoryIds } }).select('slug ancestors').lean();
+  const ancestorIds = categories.flatMap(category => category.ancestors || []);
+  const ancestors = await JobCategory.find({ _id: { $in: ancestorIds } }).select('slug').lean();
+
+  const slugs = new Map([...categories, ...ancestors].map(category => [category._id.toString(), category.slug]));
+  const keysFor = (id) => [id.toString(), slugs.get(id.toString())].filter(Boolean).map(key => key.toLowerCase());
+
+  return new Map(jobs.map(job => {
+    const category = job.category && categories.find(c => c._id.equals(job.category));
+    const ids = category ? [category._id, ...(category.ancestors || [])] : [];
+    return [job._id.toString(), new Set(ids.flatMap(keysFor))];
+  }));
+};
+
+// The jobs among `candidates` that match the saved search's filters
+const findMatchingJobs = async (search, candidates) => {
+  const { filters, error } = await buildJobSearch(Object.fromEntries(search.query || []));
+  if (error) return [];
+  const matches = await Job.find({ $and: [filters.build(), { _id: { $in: candidates.map(job => job._id) } }] })
+    .select('_id')
+    .lean();
+  const ids = new Set(matches.map(match => match._id.toString()));
+  return candidates.filter(job => ids.has(job._id.toString()));
+};
+
+const toEmailJob = (job) => ({
+  title: job.title,
+  companyName: job.employerProfile?.companyName || 'A company',
+  location: job.location?.remote
+    ? 'Remote'
+    : [job.location?.city, job.location?.country].filter(Boolean).join(', '),
+  url: `${getFrontendUrl()}/jobs/${job._id}`
+});
+
+const sendAlert = async (search, user, jobs) => {
+  const tasks = [];
+
+  if (search.channels.includes('in_app')) {
+    tasks.push(jobs.length === 1 && search.frequency === 'instant'
+      ? notifySavedSearchMatch(user._id, jobs[0]._id, jobs[0].title, toEmailJob(jobs[0]).companyName, search.name)
+      : notifySavedSearchDigest(user._id, search._id, search.name, jobs.length));
+  }
+
+  if (search.channels.includes('email')) {
+    tasks.push(sendJobAlertEmail(
+      user.email,
+      search.name,
+      jobs.slice(0, DIGEST_EMAIL_LIMIT).map(toEmailJob),
+      `${getFrontendUrl()}/saved-searches`
+    ).catch(error => console.error('Job alert email error:', error.message)));
+  }
+
+  await Promise.all(tasks);
+};
+
+/**
+ * Check newly created or activated jobs against all active saved searches in
+ * one pass. Each search is first checked in memory (couldMatchJob); only the
+ * searches that could match are confirmed with a database query.
+ * Errors are logged rather than thrown so callers can fire and forget.
+ * @param {ObjectId|ObjectId[]} jobIds
+ */
+const matchJobAlerts = async (jobIds) => {
+  try {
+    const jobs = await Job.find({ _id: { $in: [].concat(jobIds) }, status: 'active' })
+      .populate('employerProfile', 'companyName');
+    if (jobs.length === 0) {
+      return { instant: 0, queued: 0 };
+    }
+
+    const categoryKeys = await loadCategoryKeys(jobs);
+    let instant = 0;
+    let queued = 0;
+
+    const cursor = SavedSearch.find({ isActive: true })
+      .populate('user', 'email isActive')
+      .cursor();
+
+    for (let search = await cursor.next(); search; search = await cursor.next()) {
+      if (!search.user || !search.user.isActive) {
+        continue;
+      }
+
+      const params = Object.fromEntries(search.query || []);
+      const seen = new Set([...search.notifiedJobs, ...search.pendingJobs].map(id => id.toString()));
+      const candidates = jobs.filter(job =>
+        !seen.has(job._id.toString()) && couldMatchJob(params, job, categoryKeys.get(job._id.toString())));
+      if (candidates.length === 0) {
+        continue;
+      }
+
+      const matches = await findMatchingJobs(search, candidates);
+
+      if (search.frequency === 'instant') {
+        // Claim each job for this search first so concurrent matchers send it once
+        const claimed = [];
+        for (const job of matches) {
+          const result = await SavedSearch.updateOne(
+            { _id: search._id, notifiedJobs: { $ne: job._id } },
+            {
+              $push: { notifiedJobs: { $each: [job._id], $slice: -NOTIFIED_JOBS_LIMIT } },
+              $set: { lastNotifiedAt: new Date() }
+            }
+          );
+          if (result.modifiedCount) claimed.push(job);
+        }
+        if (claimed.length > 0) {
+          await sendAlert(search, search.user, claimed);
+          instant += claimed.length;
+        }
+      } else {
+        for (const job of matches) {
+          const result = await SavedSearch.updateOne(
+            { _id: search._id, notifiedJobs: { $ne: job._id }, pendingJobs: { $ne: job._id } },
+            { $push: { pendingJobs: { $each: [job._id], $slice: -PENDING_JOBS_LIMIT } } }
+          );
+          queued += result.modifiedCount;
+        }
+      }
+    }
+
+    return { instant, queued };
+  } catch (error) {
+    console.error('Job alert matching error:', error);
+    return { instant: 0, queued: 0 };
+  }
+};
+
+/**
+ * Send daily and weekly digests that are due and have new matches.
+ * Each search is claimed with a conditional update, so several app
+ * instances never send the same digest twice.
+ */
+const sendJobAlertDigests = async (now = new Date()) => {
+  let sent = 0;
+
+  for (const [frequency, interval] of Object.entries(DIGEST_INTERVALS)) {
+    let search;
+
+    while ((search = await SavedSearch.findOneAndUpdate(
+      {
+        isActive: true,
+        frequency,
+        nextDigestAt: { $lte: now },
+        'pendingJobs.0': { $exists: true }
+      },
+      { $set: { pendingJobs: [], nextDigestAt: new Date(now.getTime() + interval) } }
+    ).populate('user', 'email isActive'))) {
+      // The pre-update document still holds the queued jobs.
+      // Only jobs that are still open and still match are sent.
+      const { filters, error } = await buildJobSearch(Object.fromEntries(search.query || []));
+      const jobs = error ? [] : await Job.find({ $and: [filters.build(), { _id: { $in: search.pendingJobs } }] })
+        .populate('employerProfile', 'companyName')
+        .sort({ postedDate: -1 });
+
+      if (jobs.length === 0 || !search.user || !search.user.isActive) {
+        continue;
+      }
+
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        {
+          $push: { notifiedJobs: { $each: jobs.map(job => job._id), $slice: -NOTIFIED_JOBS_LIMIT } },
+          $set: { lastNotifiedAt: now }
+        }
+      );
+      await sendAlert(search, search.user, jobs);
+      sent++;
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  matchJobAlerts,
+  sendJobAlertDigests
+};
@@ -0,0 +1,93 @@
+// Job category taxonomy helpers: resolving filters to category subtrees
+// and building the category tree with job counts
+const mongoose = require('mongoose');
+const JobCategory = require('../models/JobCategory');
+const { parseList } = require('./queryBuilder');
+
+// Split values into ObjectIds and slugs
+const toLookup = (values) => {
+  const ids = [];
+  const slugs = [];
+  values.forEach(value => {
+    if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+      ids.push(value);
+    } else {
+      slugs.push(String(value).toLowerCase());
+    }
+  });
+  return { $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }] };
+};
+
+/**
+ * Find a category by id or slug.
+ * @returns {Promise<Document|null>}
+ */
+const findCategory = (value) => {
+  if (!value) return Promise.resolve(null);
+  return JobCategory.findOne(toLookup([value]));
+};
+
+/**
+ * Resolve category filter values (ids or slugs, multi-select) to the ids of
+ * those categories and all of their subcategories.
+ * @returns {Promise<{ ids: ObjectId[] } | { error: string } | null>} null when no filter was given
+ */
+const resolveCategoryFilter = async (value) => {
+  const values = parseList(value);
+  if (values.length === 0) return null;
+
+  const selected = await JobCategory.find(toLookup(values)).select('_id');
+  if (selected.length === 0) {
+    return { error: `Unknown category: ${values.join(', ')}` };
+  }
+
+  const selectedIds = selected.map(category => category._id);
+  const descendants = await JobCategory.find({ ancestors: { $in: selectedIds } }).select('_id');
+
+  return { ids: [...selectedIds, ...descendants.map(category => category._id)] };
+};
+
+/**
+ * Nest categories under their parents. Each node gets `jobCount` (its own jobs)
+ * and `totalJobCount` (including subcategories) from `counts` (id -> count).
+ */
+const buildCategoryTree = (categories, counts = {}) => {
+  const nodes = new Map(categories.map(category => [category._id.toString(), {
+    _id: category._id,
+    name: category.name,
+    slug: category.slug,
+    description: category.description,
+    parent: category.parent,
+    sortOrder: category.sortOrder,
+    isActive: category.isActive,
+    jobCount: counts[category._id.toString()] || 0,
+    children: []
+  }]));
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+    list.forEach(node => {
+      sortNodes(node.children);
+      node.totalJobCount = node.jobCount + node.children.reduce((sum, child) => sum + child.totalJobCount, 0);
+    });
+  };
+  sortNodes(roots);
+
+  return roots;
+};
+
+module.exports = {
+  findCategory,
+  resolveCategoryFilter,
+  buildCategoryTree
+};
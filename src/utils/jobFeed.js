@@ -0,0 +1,163 @@
+// Job syndication formats: the XML feed read by job aggregators and
+// schema.org JobPosting JSON-LD for rich search results
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// schema.org employmentType for each Job.jobType
+const EMPLOYMENT_TYPES = {
+  'full-time': 'FULL_TIME',
+  'part-time': 'PART_TIME',
+  'contract': 'CONTRACTOR',
+  'internship': 'INTERN',
+  'temporary': 'TEMPORARY'
+};
+
+// Job type names used in aggregator feeds
+const FEED_JOB_TYPES = {
+  'full-time': 'fulltime',
+  'part-time': 'parttime',
+  'contract': 'contract',
+  'internship': 'internship',
+  'temporary': 'temporary'
+};
+
+const SALARY_UNITS = {
+  hourly: 'HOUR',
+  monthly: 'MONTH',
+  yearly: 'YEAR'
+};
+
+const PERIOD_LABELS = {
+  hourly: 'per hour',
+  monthly: 'per month',
+  yearly: 'per year'
+};
+
+const getJobUrl = (job) => `${getFrontendUrl()}/jobs/${job._id}`;
+
+// Drop keys whose value is undefined, null or an empty string
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+/**
+ * Build a schema.org JobPosting for a job with a populated employerProfile.
+ */
+const toJobPostingJsonLd = (job) => {
+  const company = job.employerProfile || {};
+  const location = job.location || {};
+  const salary = job.salary || {};
+  const hasSalary = salary.min != null || salary.max != null;
+
+  return compact({
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: job.description,
+    identifier: {
+      '@type': 'PropertyValue',
+      name: company.companyName,
+      value: job._id.toString()
+    },
+    url: getJobUrl(job),
+    datePosted: job.postedDate && new Date(job.postedDate).toISOString(),
+    validThrough: job.applicationDeadline && new Date(job.applicationDeadline).toISOString(),
+    employmentType: EMPLOYMENT_TYPES[job.jobType],
+    hiringOrganization: compact({
+      '@type': 'Organization',
+      name: company.companyName,
+      sameAs: company.website,
+      logo: company.logo
+    }),
+    jobLocation: (location.city || location.country) ? {
+      '@type': 'Place',
+      address: compact({
+        '@type': 'PostalAddress',
+        addressLocality: location.city,
+        addressRegion: location.state,
+        addressCountry: location.country
+      })
+    } : undefined,
+    jobLocationType: location.remote ? 'TELECOMMUTE' : undefined,
+    applicantLocationRequirements: location.remote && location.country ? {
+      '@type': 'Country',
+      name: location.country
+    } : undefined,
+    baseSalary: hasSalary ? {
+      '@type': 'MonetaryAmount',
+      currency: salary.currency || 'USD',
+      value: compact({
+        '@type': 'QuantitativeValue',
+        minValue: salary.min,
+        maxValue: salary.max,
+        unitText: SALARY_UNITS[salary.period] || 'YEAR'
+      })
+    } : undefined,
+    skills: job.requirements?.skills?.length ? job.requirements.skills.join(', ') : undefined,
+    jobBenefits: job.benefits?.length ? job.benefits.join(', ') : undefined
+  });
+};
+
+// Wrap text in CDATA, splitting any "]]>" it contains
+const cdata = (value) => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const formatFeedSalary = ({ min, max, currency = 'USD', period = 'yearly' } = {}) => {
+  if (min == null && max == null) return '';
+  const amount = min != null && max != null && min !== max
+    ? `${min}-${max}`
+    : String(min ?? max);
+  return `${amount} ${currency} ${PERIOD_LABELS[period] || PERIOD_LABELS.yearly}`;
+};
+
+const toFeedJob = (job) => {
+  const location = job.location || {};
+  const fields = {
+    title: job.title,
+    date: job.postedDate && new Date(job.postedDate).toUTCString(),
+    referencenumber: job._id.toString(),
+    url: getJobUrl(job),
+    company: job.employerProfile?.companyName,
+    city: location.city,
+    state: location.state,
+    country: location.country,
+    description: job.description,
+    salary: formatFeedSalary(job.salary),
+    jobtype: FEED_JOB_TYPES[job.jobType],
+    remotetype: location.remote ? 'Fully remote' : '',
+    expirationdate: job.applicationDeadline && new Date(job.applicationDeadline).toUTCString()
+  };
+
+  const elements = Object.entries(fields)
+    .filter(([, value]) => value)
+    .map(([name, value]) => `    <${name}>${cdata(value)}</${name}>`);
+
+  return `  <job>\n${elements.join('\n')}\n  </job>`;
+};
+
+/**
+ * Build the aggregator XML feed (the <source>/<job> format used by most job boards).
+ * @param {Array} jobs - Jobs with a populated employerProfile
+ */
+const toJobFeedXml = (jobs, { publisher = 'JobAgency', lastBuildDate = new Date() } = {}) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<source>',
+  `  <publisher>${escapeXml(publisher)}</publisher>`,
+  `  <publisherurl>${escapeXml(getFrontendUrl())}</publisherurl>`,
+  `  <lastBuildDate>${escapeXml(new Date(lastBuildDate).toUTCString())}</lastBuildDate>`,
+  ...jobs.map(toFeedJob),
+  '</source>',
+  ''
+].join('\n');
+
+module.exports = {
+  EMPLOYMENT_TYPES,
+  toJobPostingJsonLd,
+  toJobFeedXml
+};
@@ -0,0 +1,266 @@
+// Bulk job import: parse CSV or JSON rows into job data and validate
+// each row against the Job schema, collecting per-row errors
+const Job = require('../models/Job');
+
+const MAX_IMPORT_ROWS = 500;
+const IMPORT_STATUSES = ['draft', 'active'];
+
+// CSV columns, mapped to Job paths. List cells (skills, benefits) are separated by ";" or "|".
+const CSV_COLUMNS = {
+  externalRef: 'externalRef',
+  title: 'title',
+  description: 'description',
+  category: 'category',
+  jobType: 'jobType',
+  skills: 'requirements.skills',
+  experience: 'requirements.experience',
+  education: 'requirements.education',
+  city: 'location.city',
+  state: 'location.state',
+  country: 'location.country',
+  remote: 'location.remote',
+  salaryMin: 'salary.min',
+  salaryMax: 'salary.max',
+  salaryCurrency: 'salary.currency',
+  salaryPeriod: 'salary.period',
+  benefits: 'benefits',
+  applicationDeadline: 'applicationDeadline'
+};
+
+const LIST_COLUMNS = ['skills', 'benefits'];
+
+// Sub-objects merged key by key into an existing job, so missing columns keep their values
+const NESTED_FIELDS = ['requirements', 'location', 'salary'];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes).
+ * @returns {string[][]} Rows of cells
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    object[key] = object[key] || {};
+    return object[key];
+  }, target);
+  parent[last] = value;
+};
+
+// Turn CSV rows (first row is the header) into nested job objects
+const csvToJobs = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { error: 'The CSV file is empty' };
+  }
+
+  const columns = header.map(name => name.trim());
+  const unknown = columns.filter(name => name && !CSV_COLUMNS[name]);
+  if (unknown.length > 0) {
+    return { error: `Unknown CSV columns: ${unknown.join(', ')}. Allowed: ${Object.keys(CSV_COLUMNS).join(', ')}` };
+  }
+
+  const jobs = rows.map(cells => {
+    const job = {};
+    columns.forEach((name, index) => {
+      const value = (cells[index] || '').trim();
+      if (!name || value === '') return;
+      setPath(job, CSV_COLUMNS[name], LIST_COLUMNS.includes(name)
+        ? value.split(/[;|]/).map(item => item.trim()).filter(Boolean)
+        : value);
+    });
+    return job;
+  });
+
+  return { jobs };
+};
+
+/**
+ * Read the rows of an import from an uploaded file or the request body.
+ * JSON may be an array of jobs or { jobs: [...] }; CSV needs a header row.
+ * @returns {{ jobs: Object[] } | { error: string }}
+ */
+const parseImport = ({ file, body }) => {
+  let result;
+
+  if (file) {
+    const text = file.buffer.toString('utf8');
+    const isJson = /\.json$/i.test(file.originalname) || file.mimetype === 'application/json';
+    if (isJson) {
+      try {
+        const data = JSON.parse(text);
+        result = { jobs: Array.isArray(data) ? data : data.jobs };
+      } catch (error) {
+        return { error: `Invalid JSON file: ${error.message}` };
+      }
+    } else {
+      result = csvToJobs(text);
+    }
+  } else if (typeof body.csv === 'string') {
+    result = csvToJobs(body.csv);
+  } else {
+    result = { jobs: body.jobs };
+  }
+
+  if (result.error) return result;
+  if (!Array.isArray(result.jobs) || result.jobs.length === 0) {
+    return { error: 'Please provide a CSV or JSON file, or a jobs array, with at least one job' };
+  }
+  if (result.jobs.length > MAX_IMPORT_ROWS) {
+    return { error: `An import can contain at most ${MAX_IMPORT_ROWS} jobs` };
+  }
+  return result;
+};
+
+// Keep only fields an import may set, so rows cannot change ownership or counters
+const pickImportFields = (row) => {
+  const job = {};
+  ['externalRef', 'title', 'description', 'category', 'jobType', 'benefits', 'applicationDeadline'].forEach(key => {
+    if (row[key] !== undefined) job[key] = row[key];
+  });
+  if (row.requirements) {
+    job.requirements = {
+      skills: row.requirements.skills,
+      experience: row.requirements.experience,
+      education: row.requirements.education
+    };
+  }
+  if (row.location) {
+    job.location = {
+      city: row.location.city,
+      state: row.location.state,
+      country: row.location.country,
+      remote: row.location.remote
+    };
+  }
+  if (row.salary) {
+    job.salary = {
+      min: row.salary.min,
+      max: row.salary.max,
+      currency: row.salary.currency,
+      period: row.salary.period
+    };
+  }
+  if (typeof job.externalRef === 'string') {
+    job.externalRef = job.externalRef.trim() || undefined;
+  }
+  return job;
+};
+
+// The row's externalRef as stored on the job, or undefined
+const getImportRef = (row) => {
+  const ref = row?.externalRef;
+  if (ref === undefined || ref === null) return undefined;
+  return String(ref).trim() || undefined;
+};
+
+/**
+ * Validate one row against the Job schema, including its validate hooks
+ * (geocoding and salary normalization) and the salary range check.
+ * When the row updates `existing`, it is applied to a copy of that job.
+ * @param {Map} categories - Category id and slug -> category id
+ * @param {Object} [existing] - Stored job with the row's externalRef
+ * @returns {Promise<{ job: Document, fields: string[] } | { errors: string[] }>}
+ *   fields lists the top-level job fields the row provided
+ */
+const validateImportRow = async (row, defaults, categories = new Map(), existing) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: ['Row must be an object'] };
+  }
+
+  const fields = pickImportFields(row);
+
+  // Rows name categories by slug or id
+  if (fields.category !== undefined) {
+    const category = categories.get(String(fields.category).trim().toLowerCase());
+    if (!category) {
+      return { errors: [`Unknown category: ${fields.category}`] };
+    }
+    fields.category = category;
+  }
+
+  let job;
+  if (existing) {
+    job = Job.hydrate(existing);
+    Object.entries(fields).forEach(([field, value]) => {
+      if (!NESTED_FIELDS.includes(field)) {
+        job.set(field, value);
+        return;
+      }
+      Object.entries(value).forEach(([key, subValue]) => {
+        if (subValue !== undefined) job.set(`${field}.${key}`, subValue);
+      });
+    });
+  } else {
+    job = new Job({ ...defaults, ...fields });
+  }
+
+  try {
+    await job.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { errors: Object.values(error.errors).map(err => err.message) };
+  }
+
+  if (job.salary?.min != null && job.salary?.max != null && job.salary.min > job.salary.max) {
+    return { errors: ['Minimum salary cannot be greater than maximum salary'] };
+  }
+  if (job.applicationDeadline && job.applicationDeadline < new Date()) {
+    return { errors: ['Application deadline must be in the future'] };
+  }
+
+  return { job, fields: Object.keys(fields) };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_STATUSES,
+  CSV_COLUMNS,
+  parseCsv,
+  parseImport,
+  getImportRef,
+  validateImportRow
+};
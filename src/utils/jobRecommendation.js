@@ -1,12 +1,15 @@
 const Job = require('../models/Job');
 const JobSeekerProfile = require('../models/JobSeekerProfile');
 const Application = require('../models/Application');
+const { getExchangeRates, normalizeSalary } = require('./salary');
 
 /**
  * Calculate match score between a job and a job seeker profile
  * Returns a score between 0 and 100
+ * @param {Object} [expectedSalary] - The profile's expected salary normalized
+ *   with utils/salary.js, compared against the job's normalizedSalary
  */
-const calculateMatchScore = (job, profile) => {
+const calculateMatchScore = (job, profile, expectedSalary) => {
   let score = 0;
   let factors = 0;
 
@@ -112,8 +115,23 @@ const calculateMatchScore = (job, profile) => {
     factors += 0.1;
   }
 
-  // Normalize if not all factors were evaluated
-  if (factors > 0 && factors < 1) {
+  // 6. Salary expectation match (10% weight)
+  const jobMaxSalary = job.normalizedSalary?.max ?? job.normalizedSalary?.min;
+  if (expectedSalary?.min && jobMaxSalary) {
+    let salaryScore = 20;
+
+    if (jobMaxSalary >= expectedSalary.min) {
+      salaryScore = 100;
+    } else if (jobMaxSalary >= expectedSalary.min * 0.8) {
+      salaryScore = 60;
+    }
+
+    score += salaryScore * 0.1;
+    factors += 0.1;
+  }
+
+  // Normalize to the factors that were evaluated
+  if (factors > 0) {
     score = score / factors;
   }
 
@@ -142,20 +160,42 @@ const calculateTotalExperience = (experience) => {
   return totalMonths / 12;
 };
 
+/**
+ * Score jobs against a job seeker profile, best match first
+ * (ties keep the order of `jobs`)
+ * @returns {Promise<Array<{ job, matchScore: number, matchReasons: string[] }>>}
+ */
+const scoreJobsForProfile = async (jobs, profile) => {
+  // Compare salaries as yearly amounts in the base currency
+  const expectedSalary = normalizeSalary(profile.expectedSalary, await getExchangeRates());
+
+  return jobs
+    .map(job => ({
+      job,
+      matchScore: calculateMatchScore(job, profile, expectedSalary),
+      matchReasons: getMatchReasons(job, profile, expectedSalary)
+    }))
+    .sort((a, b) => b.matchScore - a.matchScore);
+};
+
 /**
  * Get job recommendations for a user
  * @param {string} userId - The job seeker's user ID
  * @param {number} limit - Maximum number of recommendations
+ * @param {Object} [options]
+ * @param {Array} [options.categoryIds] - Only recommend jobs in these categories
  * @returns {Array} Array of recommended jobs with match scores
  */
-const getJobRecommendations = async (userId, limit = 10) => {
+const getJobRecommendations = async (userId, limit = 10, { categoryIds } = {}) => {
   try {
+    const categoryFilter = categoryIds ? { category: { $in: categoryIds } } : {};
+
     // Get the job seeker's profile
     const profile = await JobSeekerProfile.findOne({ user: userId });
 
     if (!profile) {
       // Return latest jobs if no profile
-      const jobs = await Job.find({ status: 'active' })
+      const jobs = await Job.find({ status: 'active', ...categoryFilter })
         .populate('employer', 'email')
         .populate('employerProfile', 'companyName logo')
         .sort({ createdAt: -1 })
@@ -175,25 +215,13 @@ const getJobRecommendations = async (userId, limit = 10) => {
     // Get all active jobs that user hasn't applied to
     const jobs = await Job.find({
       status: 'active',
-      _id: { $nin: appliedJobIds }
+      _id: { $nin: appliedJobIds },
+      ...categoryFilter
     })
       .populate('employer', 'email')
       .populate('employerProfile', 'companyName logo');
 
-    // Calculate match scores
-    const scoredJobs = jobs.map(job => {
-      const matchScore = calculateMatchScore(job, profile);
-      const matchReasons = getMatchReasons(job, profile);
-
-      return {
-        job,
-        matchScore,
-        matchReasons
-      };
-    });
-
-    // Sort by match score and return top results
-    scoredJobs.sort((a, b) => b.matchScore - a.matchScore);
+    const scoredJobs = await scoreJobsForProfile(jobs, profile);
 
     return scoredJobs.slice(0, limit);
   } catch (error) {
@@ -205,7 +233,7 @@ const getJobRecommendations = async (userId, limit = 10) => {
 /**
  * Get human-readable reasons for job match
  */
-const getMatchReasons = (job, profile) => {
+const getMatchReasons = (job, profile, expectedSalary) => {
   const reasons = [];
 
   // Skills match
@@ -250,11 +278,9 @@ const getMatchReasons = (job, profile) => {
   }
 
   // Salary
-  if (profile.expectedSalary && job.salary && job.salary.min && job.salary.max) {
-    const expectedMin = profile.expectedSalary.min || 0;
-    if (job.salary.max >= expectedMin) {
-      reasons.push('Salary in expected range');
-    }
+  const jobMaxSalary = job.normalizedSalary?.max ?? job.normalizedSalary?.min;
+  if (expectedSalary?.min !== undefined && jobMaxSalary && jobMaxSalary >= expectedSalary.min) {
+    reasons.push('Salary in expected range');
   }
 
   if (reasons.length === 0) {
@@ -285,6 +311,9 @@ const getSimilarJobs = async (jobId, limit = 5) => {
       // Same job type
       if (job.jobType === referenceJob.jobType) score += 30;
 
+      // Same category
+      if (job.category && referenceJob.category && job.category.equals(referenceJob.category)) score += 20;
+
       // Similar requirements/skills
       const jobSkills = job.requirements?.skills || [];
       const refSkills = referenceJob.requirements?.skills || [];
@@ -306,10 +335,10 @@ const getSimilarJobs = async (jobId, limit = 5) => {
         }
       }
 
-      // Similar salary range
-      if (job.salary && referenceJob.salary) {
-        const jobMid = ((job.salary.min || 0) + (job.salary.max || 0)) / 2;
-        const refMid = ((referenceJob.salary.min || 0) + (referenceJob.salary.max || 0)) / 2;
+      // Similar salary range, compared as normalized yearly amounts
+      if (job.normalizedSalary && referenceJob.normalizedSalary) {
+        const jobMid = ((job.normalizedSalary.min || 0) + (job.normalizedSalary.max || 0)) / 2;
+        const refMid = ((referenceJob.normalizedSalary.min || 0) + (referenceJob.normalizedSalary.max || 0)) / 2;
         if (refMid > 0 && Math.abs(jobMid - refMid) / refMid < 0.3) {
           score += 15;
         }
@@ -328,6 +357,7 @@ const getSimilarJobs = async (jobId, limit = 5) => {
 
 module.exports = {
   calculateMatchScore,
+  scoreJobsForProfile,
   getJobRecommendations,
   getSimilarJobs,
   getMatchReasons
@@ -0,0 +1,215 @@
+// Job posting risk scoring: near-duplicates of recent jobs, blocked scam
+// phrases, contact details in the description and unrealistic salaries.
+// Jobs reaching the platform's threshold are held for review (see moderation.js).
+const Job = require('../models/Job');
+const PlatformSettings = require('../models/PlatformSettings');
+const { getExchangeRates, normalizeSalary } = require('./salary');
+
+const DUPLICATE_WINDOW_DAYS = 60;
+const MAX_EMPLOYER_JOBS = 200;
+const MAX_PLATFORM_JOBS = 500;
+const DUPLICATE_SIMILARITY = 0.85;
+
+// Common wording of advance-fee and money-laundering scams
+const DEFAULT_BLOCKED_PHRASES = [
+  'application fee',
+  'registration fee',
+  'processing fee',
+  'training fee',
+  'pay to apply',
+  'refundable deposit',
+  'security deposit',
+  'western union',
+  'moneygram',
+  'gift card',
+  'bank account details',
+  'receive payments on behalf',
+  'reshipping'
+];
+
+const RISK_WEIGHTS = {
+  duplicate_platform: 50,  // Copied from another company's job
+  duplicate_own: 50,       // Repost of one of the company's open jobs in the same place
+  blocked_phrase: 30,      // Plus 10 per extra phrase
+  contact_info: 25,
+  salary_unrealistic: 25,
+  salary_range: 15
+};
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+const MESSENGER_PATTERN = /\b(whats\s?app|telegram|viber|wechat|signal|kakao\s?talk)\b/i;
+
+const toWords = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+// Three-word shingles of the title and description
+const toShingles = (job) => {
+  const words = toWords(`${job.title || ''} ${job.description || ''}`);
+  if (words.length < 3) return new Set(words.length ? [words.join(' ')] : []);
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - 3; i++) {
+    shingles.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+  }
+  return shingles;
+};
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let shared = 0;
+  small.forEach(shingle => {
+    if (large.has(shingle)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+const samePlace = (a, b) => {
+  if (a.location?.remote && b.location?.remote) return true;
+  const cityA = String(a.location?.city || '').trim().toLowerCase();
+  const cityB = String(b.location?.city || '').trim().toLowerCase();
+  return cityA === cityB;
+};
+
+const hasContactInfo = (text) => {
+  if (EMAIL_PATTERN.test(text) || MESSENGER_PATTERN.test(text)) return true;
+  // Phone numbers have at least 9 digits, which keeps out years and salary ranges
+  return (text.match(PHONE_PATTERN) || []).some(match => match.replace(/\D/g, '').length >= 9);
+};
+
+const toCandidate = (job) => ({
+  _id: job._id,
+  title: job.title,
+  employer: job.employer,
+  location: job.location,
+  shingles: toShingles(job)
+});
+
+/**
+ * Load what scoring needs: settings, exchange rates and the company's and
+ * platform's recent jobs. Load once and reuse it to score many jobs.
+ * @param {ObjectId} employerId - Company account the jobs belong to
+ * @param {Object} [options]
+ * @param {ObjectId[]} [options.exclude] - Jobs not to compare against (e.g. the job being edited)
+ */
+const loadRiskContext = async (employerId, { exclude = [] } = {}) => {
+  const since = new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const fields = 'title description employer location.city location.remote';
+  const open = { status: { $in: ['active', 'scheduled', 'pending_review', 'paused'] }, _id: { $nin: exclude } };
+
+  const [settings, exchangeRates, employerJobs, platformJobs] = await Promise.all([
+    PlatformSettings.getSettings(),
+    getExchangeRates(),
+    Job.find({ ...open, employer: employerId, createdAt: { $gte: since } })
+      .sort({ createdAt: -1 })
+      .limit(MAX_EMPLOYER_JOBS)
+      .select(fields)
+      .lean(),
+    Job.find({ ...open, employer: { $ne: employerId }, createdAt: { $gte: since } })
+      .sort({ createdAt: -1 })
+      .limit(MAX_PLATFORM_JOBS)
+      .select(fields)
+      .lean()
+  ]);
+
+  const moderation = settings.moderation || {};
+
+  return {
+    employerId,
+    exchangeRates,
+    threshold: moderation.riskThreshold || 50,
+    maxAnnualSalary: moderation.maxAnnualSalary || 1000000,
+    blockedPhrases: [...new Set([...DEFAULT_BLOCKED_PHRASES, ...(moderation.blockedPhrases || [])])],
+    candidates: [...employerJobs, ...platformJobs].map(toCandidate)
+  };
+};
+
+/**
+ * Score one job against a risk context.
+ * @param {Object} job - Job data (title, description, location, salary)
+ * @returns {{ score: number, flagged: boolean, reasons: Object[], assessedAt: Date }}
+ */
+const scoreJobRisk = (job, context) => {
+  const reasons = [];
+  const add = (code, message, weight = RISK_WEIGHTS[code]) => reasons.push({ code, message, weight });
+
+  // Near-duplicates: the closest own job in the same place and the closest job of another company
+  const shingles = toShingles(job);
+  let own = null;
+  let platform = null;
+  context.candidates.forEach(candidate => {
+    if (job._id && String(candidate._id) === String(job._id)) return;
+    const similarity = jaccard(shingles, candidate.shingles);
+    if (similarity < DUPLICATE_SIMILARITY) return;
+    if (String(candidate.employer) === String(context.employerId)) {
+      if (samePlace(job, candidate) && (!own || similarity > own.similarity)) own = { candidate, similarity };
+    } else if (!platform || similarity > platform.similarity) {
+      platform = { candidate, similarity };
+    }
+  });
+  if (platform) {
+    add('duplicate_platform', `${Math.round(platform.similarity * 100)}% similar to "${platform.candidate.title}" (${platform.candidate._id}) posted by another company`);
+  }
+  if (own) {
+    add('duplicate_own', `${Math.round(own.similarity * 100)}% similar to the company's open job "${own.candidate.title}" (${own.candidate._id}) in the same location`);
+  }
+
+  const text = `${job.title || ''}\n${job.description || ''}`;
+  const lowerText = text.toLowerCase();
+  const phrases = context.blockedPhrases.filter(phrase => lowerText.includes(phrase));
+  if (phrases.length > 0) {
+    add('blocked_phrase', `Contains blocked phrases: ${phrases.join(', ')}`,
+      RISK_WEIGHTS.blocked_phrase + 10 * (phrases.length - 1));
+  }
+
+  if (hasContactInfo(job.description || '')) {
+    add('contact_info', 'Description contains an email address, phone number or messenger handle');
+  }
+
+  const salary = normalizeSalary(job.salary, context.exchangeRates);
+  if (Math.max(salary.min || 0, salary.max || 0) > context.maxAnnualSalary) {
+    add('salary_unrealistic', `Yearly salary above ${context.maxAnnualSalary} ${salary.currency}`);
+  } else if (salary.min > 0 && salary.max > salary.min * 5) {
+    add('salary_range', 'Salary maximum is more than five times the minimum');
+  }
+
+  const score = Math.min(100, reasons.reduce((sum, reason) => sum + reason.weight, 0));
+
+  return {
+    score,
+    flagged: score >= context.threshold,
+    reasons: reasons.map(({ code, message }) => ({ code, message })),
+    assessedAt: new Date()
+  };
+};
+
+/**
+ * Load a context and score one job.
+ * @param {Object} job - Job data; include _id when re-assessing an existing job
+ * @param {ObjectId} employerId - Company account the job belongs to
+ */
+const assessJobRisk = async (job, employerId) => {
+  const context = await loadRiskContext(employerId, { exclude: job._id ? [job._id] : [] });
+  return scoreJobRisk(job, context);
+};
+
+// Count a scored job as a recent job, so duplicates within one batch are caught
+const addRiskCandidate = (context, job) => {
+  context.candidates.push(toCandidate({
+    _id: job._id,
+    title: job.title,
+    description: job.description,
+    location: job.location,
+    employer: context.employerId
+  }));
+};
+
+module.exports = {
+  DEFAULT_BLOCKED_PHRASES,
+  loadRiskContext,
+  scoreJobRisk,
+  assessJobRisk,
+  addRiskCandidate
+};
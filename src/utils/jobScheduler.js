@@ -0,0 +1,137 @@
+const Job = require('../models/Job');
+const { notifyJobExpiring, notifyJobExpired } = require('./createNotification');
+const { matchJobAlerts, sendJobAlertDigests } = require('./jobAlerts');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const getIntervalMs = () => (parseInt(process.env.JOB_SCHEDULER_INTERVAL_MINUTES) || 5) * 60 * 1000;
+const getReminderWindowMs = () => (parseInt(process.env.JOB_EXPIRY_REMINDER_DAYS) || 3) * DAY;
+
+// Notify the company owner and, if different, the teammate who posted the job
+const notifyJobOwners = (job, notify, ...args) => {
+  const recipients = new Set([job.employer.toString()]);
+  if (job.postedBy) {
+    recipients.add(job.postedBy.toString());
+  }
+  return Promise.all([...recipients].map(recipient => notify(recipient, job._id, job.title, ...args)));
+};
+
+// Each job is claimed with a conditional update, so running several
+// app instances never publishes, reminds or expires the same job twice
+
+const publishScheduledJobs = async (now) => {
+  let published = 0;
+  let job;
+
+  while ((job = await Job.findOneAndUpdate(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    [{ $set: { status: 'active', postedDate: '$publishAt' } }],
+    { new: true }
+  ))) {
+    await matchJobAlerts(job._id);
+    published++;
+  }
+
+  return published;
+};
+
+const sendExpiryReminders = async (now) => {
+  let reminded = 0;
+  let job;
+
+  while ((job = await Job.findOneAndUpdate(
+    {
+      status: 'active',
+      applicationDeadline: { $gt: now, $lte: new Date(now.getTime() + getReminderWindowMs()) },
+      expiryReminderSentAt: null
+    },
+    { $set: { expiryReminderSentAt: now } },
+    { new: true }
+  ))) {
+    await notifyJobOwners(job, notifyJobExpiring, job.applicationDeadline);
+    reminded++;
+  }
+
+  return reminded;
+};
+
+const closeExpiredJobs = async (now) => {
+  let expired = 0;
+  let job;
+
+  while ((job = await Job.findOneAndUpdate(
+    {
+      status: { $in: ['active', 'paused'] },
+      applicationDeadline: { $lt: now }
+    },
+    { $set: { status: 'closed', expiredAt: now } },
+    { new: true }
+  ))) {
+    await notifyJobOwners(job, notifyJobExpired);
+    expired++;
+  }
+
+  return expired;
+};
+
+/**
+ * Run one pass of the job scheduler: publish due jobs, warn employers
+ * about upcoming deadlines, close jobs whose deadline has passed and
+ * send saved search digests.
+ */
+const runJobScheduler = async () => {
+  const now = new Date();
+
+  const published = await publishScheduledJobs(now);
+  const reminded = await sendExpiryReminders(now);
+  const expired = await closeExpiredJobs(now);
+  const digests = await sendJobAlertDigests(now);
+
+  if (published || reminded || expired || digests) {
+    console.log(`Job scheduler: ${published} published, ${reminded} reminded, ${expired} expired, ${digests} alert digests sent`);
+  }
+
+  return { published, reminded, expired, digests };
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Start running the job scheduler inside the app process.
+ * Set JOB_SCHEDULER_ENABLED=false to run it on a different instance only.
+ */
+const startJobScheduler = () => {
+  if (timer || process.env.JOB_SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  const tick = async () => {
+    // Skip a tick if the previous pass is still running
+    if (running) return;
+    running = true;
+    try {
+      await runJobScheduler();
+    } catch (error) {
+      console.error('Job scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, getIntervalMs());
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+  setTimeout(tick, 10 * 1000).unref();
+};
+
+const stopJobScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runJobScheduler,
+  startJobScheduler,
+  stopJobScheduler
+};
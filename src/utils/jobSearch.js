@@ -0,0 +1,184 @@
+// Job search filters shared by the public job listing and saved search alerts
+const { createQueryBuilder, parseList, parseNumber } = require('./queryBuilder');
+const { parseGeoQuery, withinRadius } = require('./geo');
+const { PERIOD_MULTIPLIERS, getExchangeRates, toAnnualBase } = require('./salary');
+const { resolveCategoryFilter } = require('./jobCategories');
+
+// Query parameters that describe a search (as opposed to sorting or paging)
+const SEARCH_PARAMS = [
+  'search', 'category', 'jobType', 'location', 'city', 'remote',
+  'minSalary', 'maxSalary', 'salaryCurrency', 'salaryPeriod', 'salaryBand', 'skills',
+  'lat', 'lng', 'near', 'radius'
+];
+
+// Yearly salary bands in the base currency, matched against normalizedSalary.min
+const SALARY_BANDS = [
+  { value: '0-20000', min: 0, max: 20000 },
+  { value: '20000-40000', min: 20000, max: 40000 },
+  { value: '40000-60000', min: 40000, max: 60000 },
+  { value: '60000-100000', min: 60000, max: 100000 },
+  { value: '100000+', min: 100000 }
+];
+
+// minSalary/maxSalary are yearly amounts in the base currency unless
+// salaryCurrency or salaryPeriod say otherwise
+const toSalaryBounds = async ({ minSalary, maxSalary, salaryCurrency, salaryPeriod }) => {
+  if (salaryPeriod && !PERIOD_MULTIPLIERS[salaryPeriod]) {
+    return { error: `salaryPeriod must be one of: ${Object.keys(PERIOD_MULTIPLIERS).join(', ')}` };
+  }
+  if (!salaryCurrency && !salaryPeriod) {
+    return { min: minSalary, max: maxSalary };
+  }
+
+  const exchange = await getExchangeRates();
+  const unit = { currency: salaryCurrency || exchange.base, period: salaryPeriod || 'yearly' };
+  if (!exchange.rates[unit.currency.toUpperCase()]) {
+    return { error: `No exchange rate for ${unit.currency}` };
+  }
+  return {
+    min: toAnnualBase(minSalary, unit, exchange),
+    max: toAnnualBase(maxSalary, unit, exchange)
+  };
+};
+
+/**
+ * Build the filters for a job search from getAllJobs-style query parameters.
+ * Only active jobs with a valid deadline match; each filter is a separate
+ * clause so facets can be counted without their own filter.
+ * @returns {Promise<{ filters: Object, geo: Object|null } | { error: string }>}
+ */
+const buildJobSearch = async (params = {}) => {
+  const {
+    search,
+    category,
+    jobType,
+    location,
+    city,
+    remote,
+    salaryBand,
+    skills
+  } = params;
+
+  const salary = await toSalaryBounds(params);
+  if (salary.error) {
+    return { error: salary.error };
+  }
+
+  // Categories match their subcategories too
+  const categories = await resolveCategoryFilter(category);
+  if (categories?.error) {
+    return { error: categories.error };
+  }
+
+  const filters = createQueryBuilder({ status: 'active' })
+    .notExpired('applicationDeadline')
+    .text(search)
+    .anyOf('jobType', jobType)
+    .search(['location.city', 'location.state', 'location.country'], location, 'location')
+    .anyOf('location.city', city, 'city')
+    .range('normalizedSalary.min', salary.min, undefined)
+    .range('normalizedSalary.max', undefined, salary.max)
+    .anyOf('requirements.skills', skills, 'skills');
+
+  if (categories) {
+    filters.where('category', { category: { $in: categories.ids } });
+  }
+
+  // Remote filter - selecting both values is the same as no filter
+  const remoteValues = parseList(remote);
+  if (remoteValues.length === 1 && ['true', 'false'].includes(remoteValues[0])) {
+    filters.where('remote', remoteValues[0] === 'true'
+      ? { 'location.remote': true }
+      : { 'location.remote': { $ne: true } });
+  }
+
+  // Salary band filter
+  const bands = SALARY_BANDS.filter(band => parseList(salaryBand).includes(band.value));
+  if (bands.length > 0) {
+    filters.where('salaryBand', {
+      $or: bands.map(band => ({
+        'normalizedSalary.min': band.max ? { $gte: band.min, $lt: band.max } : { $gte: band.min }
+      }))
+    });
+  }
+
+  // Radius search: ?lat=&lng= or ?near=<city>, with &radius=<km>
+  const geo = parseGeoQuery(params);
+  if (geo?.error) {
+    return { error: geo.error };
+  }
+  if (geo) {
+    filters.where('geo', withinRadius('location.coordinates', geo));
+  }
+
+  return { filters, geo };
+};
+
+/**
+ * Quick in-memory check whether a job can match a search, so alert matching
+ * only runs database queries for the searches that remain. It only rules
+ * searches out: keyword, salary band, converted salary and radius filters are
+ * left to buildJobSearch.
+ * @param {Object} params - Search parameters
+ * @param {Object} job - Active job
+ * @param {Set<string>} [categoryKeys] - Ids and slugs of the job's category and its ancestors
+ */
+const couldMatchJob = (params = {}, job, categoryKeys = new Set()) => {
+  const includesAny = (values, candidates) => values.some(value => candidates.includes(value));
+  const location = job.location || {};
+
+  const jobTypes = parseList(params.jobType);
+  if (jobTypes.length > 0 && !jobTypes.includes(job.jobType)) return false;
+
+  const cities = parseList(params.city);
+  if (cities.length > 0 && !cities.includes(location.city)) return false;
+
+  const skills = parseList(params.skills);
+  if (skills.length > 0 && !includesAny(skills, job.requirements?.skills || [])) return false;
+
+  const remote = parseList(params.remote);
+  if (remote.length === 1 && remote[0] === 'true' && location.remote !== true) return false;
+  if (remote.length === 1 && remote[0] === 'false' && location.remote === true) return false;
+
+  if (params.location && String(params.location).trim()) {
+    const term = String(params.location).trim().toLowerCase();
+    const places = [location.city, location.state, location.country].filter(Boolean);
+    if (!places.some(place => place.toLowerCase().includes(term))) return false;
+  }
+
+  const categories = parseList(params.category).map(value => value.toLowerCase());
+  if (categories.length > 0 && !categories.some(value => categoryKeys.has(value))) return false;
+
+  // Amounts in other currencies or periods need exchange rates; leave those to the database
+  if (!params.salaryCurrency && !params.salaryPeriod) {
+    const minSalary = parseNumber(params.minSalary);
+    const maxSalary = parseNumber(params.maxSalary);
+    const salary = job.normalizedSalary || {};
+    if (minSalary !== undefined && !(salary.min >= minSalary)) return false;
+    if (maxSalary !== undefined && !(salary.max <= maxSalary)) return false;
+  }
+
+  if ((params.lat !== undefined || params.near) && !location.coordinates?.coordinates) return false;
+
+  return true;
+};
+
+// Keep only the search parameters from a query object, as strings
+const pickSearchParams = (params = {}) => {
+  const picked = {};
+  SEARCH_PARAMS.forEach(key => {
+    const value = params[key];
+    if (value !== undefined && value !== null && value !== '') {
+      picked[key] = Array.isArray(value) ? value.map(String).join(',') : String(value);
+    }
+  });
+  return picked;
+};
+
+module.exports = {
+  SEARCH_PARAMS,
+  SALARY_BANDS,
+  buildJobSearch,
+  couldMatchJob,
+  pickSearchParams
+};
@@ -1,10 +1,11 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (userId, role) => {
+// Access tokens are short-lived and bound to a server-side session (sid)
+const generateToken = (userId, role, sessionId) => {
   return jwt.sign(
-    { id: userId, role },
+    { id: userId, role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '24h' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
@@ -16,4 +17,40 @@ const verifyToken = (token) => {
   }
 };
 
-module.exports = { generateToken, verifyToken };
+// Short-lived token for an unfinished login step (e.g. two-factor verification).
+// It carries no session id, so `protect` never accepts it as an access token.
+const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign(
+    { id: userId, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.CHALLENGE_TOKEN_EXPIRE || '5m' }
+  );
+};
+
+const verifyChallengeToken = (token, purpose) => {
+  const decoded = verifyToken(token);
+  if (!decoded || decoded.purpose !== purpose) {
+    return null;
+  }
+  return decoded;
+};
+
+// Short-lived token that grants access to a single file download
+const generateFileToken = (resource, resourceId, userId) => {
+  return jwt.sign(
+    { purpose: 'file_download', resource, rid: resourceId, uid: userId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.FILE_LINK_EXPIRE || '5m' }
+  );
+};
+
+const verifyFileToken = (token) => verifyChallengeToken(token, 'file_download');
+
+module.exports = {
+  generateToken,
+  verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateFileToken,
+  verifyFileToken
+};
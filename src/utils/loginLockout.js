@@ -0,0 +1,36 @@
+// Per-account lockout shared by every endpoint that checks a password or code
+const { sendAccountLockedEmail } = require('./sendEmail');
+
+// Count a failed login attempt and warn the owner by email if it locked the account
+const recordFailedLogin = async (user) => {
+  const locked = await user.registerFailedLogin();
+
+  if (locked) {
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+    sendAccountLockedEmail(user.email, user.lockUntil, resetUrl)
+      .catch(err => console.error('Failed to send account locked email:', err.message));
+  }
+};
+
+// Reject the attempt if the account is locked or still inside its progressive delay
+const rejectIfThrottled = (user, res) => {
+  const retryAfter = user.getLoginRetryDelay();
+  if (retryAfter === 0) {
+    return false;
+  }
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message: user.isLocked()
+      ? 'Your account is temporarily locked due to too many failed login attempts. Please try again later or reset your password.'
+      : `Too many failed login attempts. Please wait ${retryAfter} seconds before trying again.`,
+    retryAfter
+  });
+  return true;
+};
+
+module.exports = {
+  recordFailedLogin,
+  rejectIfThrottled
+};
@@ -0,0 +1,68 @@
+// Pre-moderation of jobs and courses: which postings need an admin's
+// approval before going live, and holding them as 'pending_review'
+const PlatformSettings = require('../models/PlatformSettings');
+
+// model: Mongoose model, setting: key under settings.moderation.preModeration,
+// liveStatuses: publicly visible statuses, approvedStatus: status after approval,
+// ownerField: account notified of decisions, reviewFields: edits that need a new approval
+const MODERATION_TARGETS = {
+  job: {
+    model: 'Job',
+    setting: 'jobs',
+    liveStatuses: ['active', 'scheduled'],
+    approvedStatus: 'active',
+    ownerField: 'employer',
+    reviewFields: ['title', 'description', 'category', 'requirements', 'jobType', 'location', 'salary', 'benefits']
+  },
+  course: {
+    model: 'TrainingCourse',
+    setting: 'courses',
+    liveStatuses: ['published', 'full'],
+    approvedStatus: 'published',
+    ownerField: 'trainingCenter',
+    reviewFields: [
+      'title', 'description', 'category', 'skillsTaught', 'level', 'duration', 'mode', 'location',
+      'price', 'prerequisites', 'syllabus', 'certification', 'instructors', 'thumbnail'
+    ]
+  }
+};
+
+/**
+ * Whether admins must approve new and materially edited postings of a type.
+ * @param {string} targetType - 'job' or 'course'
+ */
+const isPreModerated = async (targetType) => {
+  const settings = await PlatformSettings.getSettings();
+  return !!settings.moderation?.preModeration?.[MODERATION_TARGETS[targetType].setting];
+};
+
+// Whether an update changes what admins review
+const isMaterialEdit = (targetType, updates) => {
+  return MODERATION_TARGETS[targetType].reviewFields.some(field => updates[field] !== undefined);
+};
+
+/**
+ * Decide whether a new or materially edited posting needs approval: always
+ * while pre-moderation is on, when flagged as risky, or after a rejection.
+ * @param {Object} [previous] - The posting's current moderation state
+ */
+const requiresReview = async (targetType, { flagged = false, previous } = {}) => {
+  if (flagged || previous?.rejectedAt) return true;
+  return isPreModerated(targetType);
+};
+
+/**
+ * A posting that needs approval cannot go live.
+ * @returns {string} The status to save: 'pending_review' instead of a live status
+ */
+const holdForReview = (targetType, status, reviewRequired) => {
+  return reviewRequired && MODERATION_TARGETS[targetType].liveStatuses.includes(status) ? 'pending_review' : status;
+};
+
+module.exports = {
+  MODERATION_TARGETS,
+  isPreModerated,
+  isMaterialEdit,
+  requiresReview,
+  holdForReview
+};
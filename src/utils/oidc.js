@@ -0,0 +1,189 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const METADATA_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const HTTP_TIMEOUT = 10 * 1000;
+const ASYMMETRIC_ALGORITHMS = [
+  'RS256', 'RS384', 'RS512',
+  'PS256', 'PS384', 'PS512',
+  'ES256', 'ES384', 'ES512'
+];
+
+// Discovery documents and signing keys per issuer
+const cache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const getCacheEntry = (provider) => {
+  const entry = cache.get(provider.issuer);
+  if (entry && Date.now() - entry.fetchedAt < METADATA_CACHE_TTL) {
+    return entry;
+  }
+  return null;
+};
+
+// Fetch the provider's discovery document
+const getProviderMetadata = async (provider) => {
+  const cached = getCacheEntry(provider);
+  if (cached) {
+    return cached.metadata;
+  }
+
+  const { data: metadata } = await axios.get(
+    `${provider.issuer}/.well-known/openid-configuration`,
+    { timeout: HTTP_TIMEOUT }
+  );
+
+  if (metadata.issuer !== provider.issuer) {
+    throw new Error(`OIDC discovery issuer mismatch for provider "${provider.id}"`);
+  }
+
+  cache.set(provider.issuer, { metadata, keys: null, fetchedAt: Date.now() });
+  return metadata;
+};
+
+// Find the public key for `kid`, refetching the key set once if it has rotated
+const getSigningKey = async (provider, kid) => {
+  const metadata = await getProviderMetadata(provider);
+  const entry = cache.get(provider.issuer);
+
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let jwk = entry.keys && findKey(entry.keys);
+  if (!jwk) {
+    const { data } = await axios.get(metadata.jwks_uri, { timeout: HTTP_TIMEOUT });
+    entry.keys = data.keys || [];
+    jwk = findKey(entry.keys);
+  }
+
+  if (!jwk) {
+    throw new Error(`No signing key found for provider "${provider.id}"`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Build the authorization URL along with the values that must be kept for the callback
+const createAuthorizationRequest = async (provider) => {
+  const metadata = await getProviderMetadata(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+// Exchange an authorization code for tokens at the token endpoint
+const exchangeCode = async (provider, code, codeVerifier) => {
+  const metadata = await getProviderMetadata(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  // client_secret_basic is the spec default; fall back to client_secret_post if that is all the provider supports
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (!provider.clientSecret) {
+    params.set('client_id', provider.clientId);
+  } else if (authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', provider.clientId);
+    params.set('client_secret', provider.clientSecret);
+  }
+
+  const { data } = await axios.post(metadata.token_endpoint, params.toString(), {
+    headers,
+    timeout: HTTP_TIMEOUT
+  });
+
+  if (!data.id_token) {
+    throw new Error(`Provider "${provider.id}" did not return an ID token`);
+  }
+
+  return data;
+};
+
+// Verify the ID token signature and standard claims, returning its claims
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const { alg, kid } = decoded.header;
+  let key;
+
+  if (ASYMMETRIC_ALGORITHMS.includes(alg)) {
+    key = await getSigningKey(provider, kid);
+  } else if (alg === 'HS256' && provider.clientSecret) {
+    key = provider.clientSecret;
+  } else {
+    throw new Error(`Unsupported ID token algorithm: ${alg}`);
+  }
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [alg],
+    issuer: provider.issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Fetch additional claims (e.g. email) when the ID token does not include them
+const fetchUserInfo = async (provider, accessToken) => {
+  const metadata = await getProviderMetadata(provider);
+  if (!metadata.userinfo_endpoint || !accessToken) {
+    return {};
+  }
+
+  const { data } = await axios.get(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: HTTP_TIMEOUT
+  });
+  return data;
+};
+
+// Run the code exchange and return the verified identity claims
+const completeAuthorization = async (provider, code, { nonce, codeVerifier }) => {
+  const tokens = await exchangeCode(provider, code, codeVerifier);
+  const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+
+  if (!claims.email) {
+    const userInfo = await fetchUserInfo(provider, tokens.access_token);
+    // Only trust userinfo that belongs to the same subject
+    if (userInfo.sub === claims.sub) {
+      return { ...userInfo, ...claims, email: userInfo.email, email_verified: userInfo.email_verified };
+    }
+  }
+
+  return claims;
+};
+
+module.exports = {
+  createAuthorizationRequest,
+  completeAuthorization
+};
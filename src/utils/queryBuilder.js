@@ -0,0 +1,142 @@
+// Composable MongoDB filters for public listing and search endpoints.
+//
+// Every filter is stored as its own named clause and the clauses are joined
+// with $and, so two filters that both need $or can never overwrite each other.
+// Search facets count results with every clause except their own (build(except)).
+
+const DEFAULT_MAX_LIMIT = 100;
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Multi-select query values: ?type=a,b or ?type=a&type=b
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Create a query builder.
+ * @param {Object} [base] - Clause every result must match (e.g. { status: 'active' })
+ */
+const createQueryBuilder = (base) => {
+  const clauses = new Map();
+
+  const builder = {
+    // Add a raw clause under `key`, replacing any earlier clause with that key
+    where(key, clause) {
+      if (clause && Object.keys(clause).length > 0) {
+        clauses.set(key, clause);
+      }
+      return builder;
+    },
+
+    // Full-text search (needs a text index on the collection)
+    text(term) {
+      if (term && String(term).trim()) {
+        builder.where('text', { $text: { $search: String(term).trim() } });
+      }
+      return builder;
+    },
+
+    // Case-insensitive partial match on any of `fields`
+    search(fields, term, key = 'search') {
+      if (term && String(term).trim()) {
+        const regex = { $regex: escapeRegex(String(term).trim()), $options: 'i' };
+        const conditions = [].concat(fields).map(field => ({ [field]: regex }));
+        builder.where(key, conditions.length === 1 ? conditions[0] : { $or: conditions });
+      }
+      return builder;
+    },
+
+    // Exact match, skipped when no value was given
+    equals(field, value, key = field) {
+      if (value !== undefined && value !== null && value !== '') {
+        builder.where(key, { [field]: value });
+      }
+      return builder;
+    },
+
+    // Match any of the selected values (multi-select)
+    anyOf(field, values, key = field) {
+      const list = parseList(values);
+      if (list.length > 0) {
+        builder.where(key, { [field]: { $in: list } });
+      }
+      return builder;
+    },
+
+    // Numeric range; either bound may be omitted
+    range(field, min, max, key = field) {
+      const condition = {};
+      const lower = parseNumber(min);
+      const upper = parseNumber(max);
+      if (lower !== undefined) condition.$gte = lower;
+      if (upper !== undefined) condition.$lte = upper;
+      if (Object.keys(condition).length > 0) {
+        builder.where(key, { [field]: condition });
+      }
+      return builder;
+    },
+
+    // Date in the future, or not set at all
+    notExpired(field, key = field) {
+      return builder.where(key, {
+        $or: [
+          { [field]: { $gte: new Date() } },
+          { [field]: null }
+        ]
+      });
+    },
+
+    has(key) {
+      return clauses.has(key);
+    },
+
+    // Build the final filter, optionally leaving out one clause
+    build(except) {
+      const parts = [];
+      if (base && Object.keys(base).length > 0) {
+        parts.push(base);
+      }
+      clauses.forEach((clause, key) => {
+        if (key !== except) {
+          parts.push(clause);
+        }
+      });
+
+      if (parts.length === 0) return {};
+      if (parts.length === 1) return parts[0];
+      return { $and: parts };
+    }
+  };
+
+  return builder;
+};
+
+/**
+ * Validate and clamp page/limit query parameters.
+ * @returns {{ page: number, limit: number, skip: number }}
+ */
+const getPagination = (query = {}, { defaultLimit = 10, maxLimit = DEFAULT_MAX_LIMIT } = {}) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit) || defaultLimit));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = {
+  createQueryBuilder,
+  getPagination,
+  escapeRegex,
+  parseList,
+  parseNumber
+};
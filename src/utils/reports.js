@@ -0,0 +1,65 @@
+// Abuse reports: what can be reported and what admins can do about it
+const mongoose = require('mongoose');
+
+// model: the target's Mongoose model, nameField: how it is shown,
+// ownerField: the account responsible for it, actions: moderation actions besides dismiss
+const REPORT_TARGETS = {
+  job: {
+    model: 'Job',
+    nameField: 'title',
+    ownerField: 'employer',
+    actions: ['pause_job', 'close_job', 'deactivate_account']
+  },
+  course: {
+    model: 'TrainingCourse',
+    nameField: 'title',
+    ownerField: 'trainingCenter',
+    actions: ['archive_course', 'deactivate_account']
+  },
+  employer: {
+    model: 'EmployerProfile',
+    nameField: 'companyName',
+    ownerField: 'user',
+    actions: ['deactivate_account']
+  },
+  training_center: {
+    model: 'TrainingCenterProfile',
+    nameField: 'centerName',
+    ownerField: 'user',
+    actions: ['deactivate_account']
+  }
+};
+
+const REPORT_REASONS = [
+  'scam',            // Fraud, phishing or identity theft
+  'fee_required',    // Asks candidates or students to pay to apply
+  'misleading',      // Fake company, wrong salary or false details
+  'inappropriate',   // Offensive or adult content
+  'discrimination',  // Discriminatory requirements
+  'spam',            // Spam or duplicate postings
+  'other'
+];
+
+/**
+ * Load a report target with its display name and owning account.
+ * @returns {Promise<{ doc: Object, name: string, owner: ObjectId } | null>}
+ */
+const loadReportTarget = async (targetType, targetId) => {
+  const config = REPORT_TARGETS[targetType];
+  if (!config || !mongoose.Types.ObjectId.isValid(targetId)) return null;
+
+  const doc = await mongoose.model(config.model).findById(targetId);
+  if (!doc) return null;
+
+  return {
+    doc,
+    name: doc[config.nameField],
+    owner: doc[config.ownerField]
+  };
+};
+
+module.exports = {
+  REPORT_TARGETS,
+  REPORT_REASONS,
+  loadReportTarget
+};
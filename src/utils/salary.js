@@ -0,0 +1,58 @@
+// Salary normalization: convert salaries paid per hour, month or year and in
+// any currency to an annual amount in the platform base currency, so jobs can
+// be filtered and sorted on comparable numbers.
+const PlatformSettings = require('../models/PlatformSettings');
+
+const HOURS_PER_YEAR = 2080; // 40 hours x 52 weeks
+const PERIOD_MULTIPLIERS = {
+  hourly: HOURS_PER_YEAR,
+  monthly: 12,
+  yearly: 1
+};
+
+/**
+ * Load the base currency and exchange rates maintained by admins.
+ * Rates are units of a currency per one unit of the base currency.
+ * @returns {{ base: string, rates: Object }}
+ */
+const getExchangeRates = async () => {
+  const settings = await PlatformSettings.getSettings();
+  const base = settings.salary?.baseCurrency || 'USD';
+  const rates = Object.fromEntries(settings.salary?.exchangeRates || []);
+  return { base, rates: { ...rates, [base]: 1 } };
+};
+
+/**
+ * Convert an amount to a yearly amount in the base currency.
+ * @returns {number|undefined} undefined when the amount is missing or the currency has no rate
+ */
+const toAnnualBase = (amount, { currency = 'USD', period = 'yearly' } = {}, { rates }) => {
+  if (amount === undefined || amount === null || amount === '' || !Number.isFinite(Number(amount))) {
+    return undefined;
+  }
+  const rate = rates[String(currency).toUpperCase()];
+  const multiplier = PERIOD_MULTIPLIERS[period];
+  if (!rate || !multiplier) {
+    return undefined;
+  }
+  return Math.round(Number(amount) * multiplier / rate);
+};
+
+/**
+ * Normalize a { min, max, currency, period } salary.
+ * @returns {{ min?: number, max?: number, currency?: string }}
+ */
+const normalizeSalary = (salary, exchange) => {
+  if (!salary) return {};
+  const min = toAnnualBase(salary.min, salary, exchange);
+  const max = toAnnualBase(salary.max, salary, exchange);
+  if (min === undefined && max === undefined) return {};
+  return { min, max, currency: exchange.base };
+};
+
+module.exports = {
+  PERIOD_MULTIPLIERS,
+  getExchangeRates,
+  toAnnualBase,
+  normalizeSalary
+};
@@ -0,0 +1,182 @@
+// Screening questions on job postings and the knockout rules that
+// automatically reject applications
+
+const QUESTION_TYPES = ['yes_no', 'single_choice', 'multi_choice', 'number', 'text'];
+const CHOICE_TYPES = ['single_choice', 'multi_choice'];
+const MAX_QUESTIONS = 20;
+const MAX_TEXT_ANSWER = 1000;
+
+/**
+ * Check screening question definitions sent by an employer.
+ * @returns {string|null} Error message, or null when the questions are valid
+ */
+const validateQuestions = (questions) => {
+  if (!Array.isArray(questions)) {
+    return 'Screening questions must be an array';
+  }
+  if (questions.length > MAX_QUESTIONS) {
+    return `A job can have at most ${MAX_QUESTIONS} screening questions`;
+  }
+
+  for (const [index, q] of questions.entries()) {
+    const label = `Screening question ${index + 1}`;
+
+    if (!q || typeof q.question !== 'string' || !q.question.trim()) {
+      return `${label} needs question text`;
+    }
+    if (!QUESTION_TYPES.includes(q.type)) {
+      return `${label} type must be one of: ${QUESTION_TYPES.join(', ')}`;
+    }
+
+    const options = q.options || [];
+    if (CHOICE_TYPES.includes(q.type) && (!Array.isArray(options) || options.length < 2)) {
+      return `${label} needs at least two options`;
+    }
+
+    const knockout = q.knockout || {};
+    if (knockout.rejectOptions && knockout.rejectOptions.some(option => !options.includes(option))) {
+      return `${label} knockout options must be among its options`;
+    }
+    if (knockout.min != null && knockout.max != null && Number(knockout.min) > Number(knockout.max)) {
+      return `${label} knockout minimum cannot be greater than its maximum`;
+    }
+  }
+
+  return null;
+};
+
+const isSameQuestion = (a, b) => a.type === b.type &&
+  a.question.trim().toLowerCase() === b.question.trim().toLowerCase();
+
+/**
+ * Keep the ids of existing questions when an employer replaces the list, so
+ * stored answers and answer filters still point at them. Questions are matched
+ * by _id, or by text and type when sent without one; the rest get new ids.
+ * @param {Array} existing - The job's current questions
+ * @param {Array} questions - Validated questions sent by the employer
+ */
+const mergeQuestions = (existing, questions) => {
+  const unused = new Map((existing || []).map(q => [q._id.toString(), q]));
+  const matches = questions.map(q => {
+    const match = q._id && unused.get(String(q._id));
+    if (match) unused.delete(String(q._id));
+    return match;
+  });
+
+  return questions.map((q, index) => {
+    const { _id, ...fields } = q;
+    let match = matches[index];
+    if (!match) {
+      match = [...unused.values()].find(old => isSameQuestion(old, q));
+      if (match) unused.delete(match._id.toString());
+    }
+    return match ? { ...fields, _id: match._id } : fields;
+  });
+};
+
+// Convert a submitted answer to the question's type, or undefined if it is not valid
+const normalizeAnswer = (question, value) => {
+  switch (question.type) {
+    case 'yes_no':
+      if (value === true || value === 'true' || value === 'yes') return true;
+      if (value === false || value === 'false' || value === 'no') return false;
+      return undefined;
+    case 'single_choice':
+      return question.options.includes(value) ? value : undefined;
+    case 'multi_choice': {
+      const values = Array.isArray(value) ? value : [value];
+      return values.every(v => question.options.includes(v)) ? [...new Set(values)] : undefined;
+    }
+    case 'number': {
+      const number = typeof value === 'string' && !value.trim() ? NaN : Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    default:
+      return typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_ANSWER) : undefined;
+  }
+};
+
+// Describe why an answer trips the question's knockout rule, or null if it does not
+const getKnockoutReason = (question, answer) => {
+  const knockout = question.knockout || {};
+
+  if (question.type === 'yes_no' && knockout.expectedAnswer != null && answer !== knockout.expectedAnswer) {
+    return `"${question.question}" must be answered ${knockout.expectedAnswer ? 'yes' : 'no'}`;
+  }
+
+  if (CHOICE_TYPES.includes(question.type) && knockout.rejectOptions?.length) {
+    const chosen = [].concat(answer).filter(option => knockout.rejectOptions.includes(option));
+    if (chosen.length) {
+      return `"${question.question}" answered ${chosen.join(', ')}`;
+    }
+  }
+
+  if (question.type === 'number') {
+    if (knockout.min != null && answer < knockout.min) {
+      return `"${question.question}" is below the minimum of ${knockout.min}`;
+    }
+    if (knockout.max != null && answer > knockout.max) {
+      return `"${question.question}" is above the maximum of ${knockout.max}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate a candidate's answers against a job's screening questions.
+ * Answers may be an object keyed by question id or an array of { question, answer }.
+ * @returns {{ error: string|null, answers: Array, knockoutReasons: string[] }}
+ */
+const evaluateAnswers = (questions = [], submitted = {}) => {
+  if (Array.isArray(submitted) && submitted.some(entry => !entry || typeof entry !== 'object')) {
+    return { error: 'Invalid answer: each answer needs a question and an answer', answers: [], knockoutReasons: [] };
+  }
+
+  const byId = Array.isArray(submitted)
+    ? Object.fromEntries(submitted.map(entry => [entry.question, entry.answer]))
+    : submitted || {};
+
+  const answers = [];
+  const knockoutReasons = [];
+
+  for (const question of questions) {
+    const raw = byId[question._id.toString()];
+    const isBlank = raw === undefined || raw === null || raw === '' || (Array.isArray(raw) && raw.length === 0);
+
+    if (isBlank) {
+      if (question.required) {
+        return { error: `Please answer: ${question.question}`, answers: [], knockoutReasons: [] };
+      }
+      continue;
+    }
+
+    const answer = normalizeAnswer(question, raw);
+    if (answer === undefined) {
+      return { error: `Invalid answer for: ${question.question}`, answers: [], knockoutReasons: [] };
+    }
+
+    answers.push({
+      question: question._id,
+      questionText: question.question,
+      type: question.type,
+      answer
+    });
+
+    const reason = getKnockoutReason(question, answer);
+    if (reason) {
+      knockoutReasons.push(reason);
+    }
+  }
+
+  return { error: null, answers, knockoutReasons };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  validateQuestions,
+  mergeQuestions,
+  normalizeAnswer,
+  getKnockoutReason,
+  evaluateAnswers
+};
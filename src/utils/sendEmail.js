@@ -616,6 +616,439 @@ The JobAgency Team
   });
 };
 
+/**
+ * Send account locked email after repeated failed login attempts
+ */
+const sendAccountLockedEmail = async (email, lockedUntil, resetUrl) => {
+  const subject = 'Your JobAgency account has been temporarily locked';
+
+  const unlockTime = new Date(lockedUntil).toLocaleString('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+
+  const text = `
+Hello,
+
+We detected several failed login attempts on your JobAgency account, so we have temporarily locked it to protect you.
+
+You can try logging in again after ${unlockTime}.
+
+If these attempts were not made by you, we recommend resetting your password:
+${resetUrl}
+
+Best regards,
+The JobAgency Team
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">JobAgency</h1>
+  </div>
+
+  <div style="background: #ffffff; padding: 30px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+    <h2 style="color: #1f2937; margin-top: 0;">Account Temporarily Locked</h2>
+
+    <p>Hello,</p>
+
+    <p>We detected several failed login attempts on your JobAgency account, so we have temporarily locked it to protect you.</p>
+
+    <div style="background: #fef2f2; border-radius: 8px; padding: 20px; margin: 20px 0; border-left: 4px solid #ef4444;">
+      <p style="margin: 0;">You can try logging in again after <strong>${unlockTime}</strong>.</p>
+    </div>
+
+    <p>If these attempts were not made by you, we recommend resetting your password:</p>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${resetUrl}" style="display: inline-block; background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">Reset Password</a>
+    </div>
+
+    <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+    <p style="color: #9ca3af; font-size: 12px; margin-bottom: 0;">
+      This is an automated security notification from JobAgency.
+    </p>
+  </div>
+
+  <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+    <p style="margin: 0;">&copy; ${new Date().getFullYear()} JobAgency. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  return sendEmail({
+    to: email,
+    subject,
+    text,
+    html,
+  });
+};
+
+/**
+ * Send team invitation email to a new recruiter or hiring manager
+ */
+const sendTeamInvitationEmail = async (email, companyName, roleLabel, acceptUrl) => {
+  const subject = `You've been invited to join ${companyName} on JobAgency`;
+
+  const text = `
+Hello,
+
+${companyName} has invited you to join their hiring team on JobAgency as a ${roleLabel}.
+
+Accept the invitation: ${acceptUrl}
+
+This invitation will expire in 7 days.
+
+If you weren't expecting this invitation, you can ignore this email.
+
+Best regards,
+The JobAgency Team
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">JobAgency</h1>
+  </div>
+
+  <div style="background: #ffffff; padding: 30px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+    <h2 style="color: #1f2937; margin-top: 0;">Join ${companyName}'s Hiring Team</h2>
+
+    <p>Hello,</p>
+
+    <p><strong>${companyName}</strong> has invited you to join their hiring team on JobAgency as a <strong>${roleLabel}</strong>.</p>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${acceptUrl}" style="display: inline-block; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">Accept Invitation</a>
+    </div>
+
+    <p style="color: #6b7280; font-size: 14px;">This invitation will expire in <strong>7 days</strong>.</p>
+
+    <p style="color: #6b7280; font-size: 14px;">If the button doesn't work, copy and paste this link into your browser:</p>
+    <p style="color: #2563eb; font-size: 14px; word-break: break-all;">${acceptUrl}</p>
+
+    <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+    <p style="color: #9ca3af; font-size: 12px; margin-bottom: 0;">
+      If you weren't expecting this invitation, you can ignore this email.
+    </p>
+  </div>
+
+  <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+    <p style="margin: 0;">&copy; ${new Date().getFullYear()} JobAgency. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  return sendEmail({
+    to: email,
+    subject,
+    text,
+    html,
+  });
+};
+
+/**
+ * Send passwordless magic link login email
+ */
+const sendMagicLinkEmail = async (email, loginUrl) => {
+  const subject = 'Your JobAgency login link';
+
+  const text = `
+Hello,
+
+Click the link below to log in to your JobAgency account:
+${loginUrl}
+
+This link will expire in 15 minutes and can only be used once.
+
+If you didn't request this link, you can safely ignore this email.
+
+Best regards,
+The JobAgency Team
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">JobAgency</h1>
+  </div>
+
+  <div style="background: #ffffff; padding: 30px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+    <h2 style="color: #1f2937; margin-top: 0;">Log In to JobAgency</h2>
+
+    <p>Hello,</p>
+
+    <p>Click the button below to log in to your JobAgency account. No password needed.</p>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${loginUrl}" style="display: inline-block; background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">Log In</a>
+    </div>
+
+    <p style="color: #6b7280; font-size: 14px;">This link will expire in <strong>15 minutes</strong> and can only be used once.</p>
+
+    <p style="color: #6b7280; font-size: 14px;">If the button doesn't work, copy and paste this link into your browser:</p>
+    <p style="color: #2563eb; font-size: 14px; word-break: break-all;">${loginUrl}</p>
+
+    <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+    <p style="color: #9ca3af; font-size: 12px; margin-bottom: 0;">
+      If you didn't request this link, you can safely ignore this email.
+    </p>
+  </div>
+
+  <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+    <p style="margin: 0;">&copy; ${new Date().getFullYear()} JobAgency. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  return sendEmail({
+    to: email,
+    subject,
+    text,
+    html,
+  });
+};
+
+/**
+ * Send confirmation link to the requested new login email
+ */
+const sendEmailChangeConfirmationEmail = async (newEmail, confirmUrl) => {
+  const subject = 'Confirm your new JobAgency email address';
+
+  const text = `
+Hello,
+
+We received a request to change the login email of your JobAgency account to this address.
+
+Please confirm the change by clicking the link below:
+${confirmUrl}
+
+This link will expire in 1 hour. Until you confirm, your account keeps using its current email address.
+
+If you didn't request this change, you can safely ignore this email.
+
+Best regards,
+The JobAgency Team
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">JobAgency</h1>
+  </div>
+
+  <div style="background: #ffffff; padding: 30px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+    <h2 style="color: #1f2937; margin-top: 0;">Confirm Your New Email</h2>
+
+    <p>Hello,</p>
+
+    <p>We received a request to change the login email of your JobAgency account to <strong>${newEmail}</strong>.</p>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${confirmUrl}" style="display: inline-block; background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">Confirm Email Change</a>
+    </div>
+
+    <p style="color: #6b7280; font-size: 14px;">This link will expire in <strong>1 hour</strong>. Until you confirm, your account keeps using its current email address.</p>
+
+    <p style="color: #6b7280; font-size: 14px;">If the button doesn't work, copy and paste this link into your browser:</p>
+    <p style="color: #2563eb; font-size: 14px; word-break: break-all;">${confirmUrl}</p>
+
+    <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+    <p style="color: #9ca3af; font-size: 12px; margin-bottom: 0;">
+      If you didn't request this change, you can safely ignore this email.
+    </p>
+  </div>
+
+  <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+    <p style="margin: 0;">&copy; ${new Date().getFullYear()} JobAgency. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  return sendEmail({
+    to: newEmail,
+    subject,
+    text,
+    html,
+  });
+};
+
+/**
+ * Notify the current address that an email change was requested
+ */
+const sendEmailChangeNoticeEmail = async (email, newEmail, resetUrl) => {
+  const subject = 'Email change requested for your JobAgency account';
+
+  const text = `
+Hello,
+
+Someone requested to change the login email of your JobAgency account to ${newEmail}.
+
+The change only takes effect once it is confirmed from the new address.
+
+If you didn't make this request, your password may be compromised. Please reset it right away:
+${resetUrl}
+
+Best regards,
+The JobAgency Team
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">JobAgency</h1>
+  </div>
+
+  <div style="background: #ffffff; padding: 30px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+    <h2 style="color: #1f2937; margin-top: 0;">Email Change Requested</h2>
+
+    <p>Hello,</p>
+
+    <p>Someone requested to change the login email of your JobAgency account.</p>
+
+    <div style="background: #f9fafb; border-radius: 8px; padding: 20px; margin: 20px 0; border-left: 4px solid #2563eb;">
+      <p style="margin: 0;"><strong>New email:</strong> ${newEmail}</p>
+    </div>
+
+    <p>The change only takes effect once it is confirmed from the new address.</p>
+
+    <p>If you didn't make this request, your password may be compromised. Please reset it right away:</p>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${resetUrl}" style="display: inline-block; background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">Reset Password</a>
+    </div>
+
+    <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+    <p style="color: #9ca3af; font-size: 12px; margin-bottom: 0;">
+      This is an automated security notification from JobAgency.
+    </p>
+  </div>
+
+  <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+    <p style="margin: 0;">&copy; ${new Date().getFullYear()} JobAgency. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  return sendEmail({
+    to: email,
+    subject,
+    text,
+    html,
+  });
+};
+
+/**
+ * Send new jobs matching a saved search (one job for instant alerts, several for digests)
+ * @param {Array} jobs - { title, companyName, location, url }
+ */
+const sendJobAlertEmail = async (email, searchName, jobs, manageUrl) => {
+  const subject = jobs.length === 1
+    ? `New job for "${searchName}": ${jobs[0].title}`
+    : `${jobs.length} new jobs for "${searchName}"`;
+
+  const text = `
+Hello,
+
+New jobs match your saved search "${searchName}":
+
+${jobs.map(job => `- ${job.title} at ${job.companyName}${job.location ? ` (${job.location})` : ''}\n  ${job.url}`).join('\n')}
+
+Manage your job alerts: ${manageUrl}
+
+Best regards,
+The JobAgency Team
+  `.trim();
+
+  const jobRows = jobs.map(job => `
+      <div style="padding: 12px 0; border-bottom: 1px solid #e5e7eb;">
+        <a href="${job.url}" style="color: #2563eb; font-weight: 600; text-decoration: none;">${job.title}</a>
+        <p style="margin: 4px 0 0 0; color: #6b7280;">${job.companyName}${job.location ? ` &middot; ${job.location}` : ''}</p>
+      </div>`).join('');
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">New Jobs For You</h1>
+  </div>
+
+  <div style="background: #ffffff; padding: 30px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+    <p>Hello,</p>
+
+    <p>New jobs match your saved search <strong>${searchName}</strong>:</p>
+
+    <div style="margin: 20px 0;">${jobRows}
+    </div>
+
+    <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+    <p style="color: #9ca3af; font-size: 12px; margin-bottom: 0;">
+      You receive this email because you saved this search on JobAgency.
+      <a href="${manageUrl}" style="color: #9ca3af;">Manage your job alerts</a>
+    </p>
+  </div>
+
+  <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+    <p style="margin: 0;">&copy; ${new Date().getFullYear()} JobAgency. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  return sendEmail({
+    to: email,
+    subject,
+    text,
+    html,
+  });
+};
+
 module.exports = {
   sendEmail,
   sendPasswordResetEmail,
@@ -624,4 +1057,10 @@ module.exports = {
   sendApplicationStatusEmail,
   sendInterviewEmail,
   sendNewApplicationEmail,
+  sendAccountLockedEmail,
+  sendTeamInvitationEmail,
+  sendMagicLinkEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeNoticeEmail,
+  sendJobAlertEmail,
 };
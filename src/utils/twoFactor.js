@@ -0,0 +1,62 @@
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const crypto = require('crypto');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'JobAgency';
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+
+// Accept codes from the previous and next step to tolerate clock drift
+authenticator.options = { step: TOTP_STEP_SECONDS, window: 1 };
+
+/**
+ * Generate a new TOTP secret with its otpauth URL and QR code
+ * @param {string} email - Account label shown in the authenticator app
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ */
+const generateTwoFactorSecret = async (email) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Verify a TOTP code against a secret
+ * @returns {number|null} The time step the code belongs to, or null if invalid
+ */
+const verifyTotpCode = (secret, code) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).trim().toLowerCase())
+  .digest('hex');
+
+/**
+ * Generate single-use recovery codes
+ * @returns {{codes: string[], hashes: string[]}} Raw codes for the user and hashes to store
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+  generateTwoFactorSecret,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
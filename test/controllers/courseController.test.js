@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const TrainingCourse = require('../../src/models/TrainingCourse');
+const PlatformSettings = require('../../src/models/PlatformSettings');
+const { updateCourse } = require('../../src/controllers/courseController');
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+test('updateCourse', async (t) => {
+  const trainingCenter = new mongoose.Types.ObjectId();
+  const { findById } = TrainingCourse;
+  const { getSettings } = PlatformSettings;
+
+  const loadCourse = (moderation) => {
+    const course = TrainingCourse.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      trainingCenter,
+      title: 'Welding basics',
+      description: 'Learn to weld',
+      category: 'Construction',
+      status: 'pending_review',
+      viewCount: 3,
+      rating: { average: 2, count: 1 },
+      moderation
+    });
+    course.save = async function() {
+      return this;
+    };
+    TrainingCourse.findById = async () => course;
+    return course;
+  };
+
+  PlatformSettings.getSettings = async () => ({ moderation: { preModeration: { courses: true } } });
+  t.after(() => {
+    TrainingCourse.findById = findById;
+    PlatformSettings.getSettings = getSettings;
+  });
+
+  await t.test('ignores moderation, ownership and counter fields', async () => {
+    const course = loadCourse({ reviewRequired: true, rejectedAt: new Date('2026-01-01') });
+    const res = mockResponse();
+
+    await updateCourse({
+      params: { id: course._id.toString() },
+      user: { id: trainingCenter.toString() },
+      body: {
+        status: 'published',
+        'moderation.reviewRequired': false,
+        'moderation.rejectedAt': null,
+        moderation: { reviewRequired: false },
+        trainingCenter: new mongoose.Types.ObjectId().toString(),
+        viewCount: 1000,
+        'rating.average': 5
+      }
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(course.status, 'pending_review');
+    assert.equal(course.moderation.reviewRequired, true);
+    assert.ok(course.moderation.rejectedAt);
+    assert.equal(course.trainingCenter.toString(), trainingCenter.toString());
+    assert.equal(course.viewCount, 3);
+    assert.equal(course.rating.average, 2);
+  });
+
+  await t.test('applies editable fields', async () => {
+    const course = loadCourse({ reviewRequired: false });
+    const res = mockResponse();
+
+    await updateCourse({
+      params: { id: course._id.toString() },
+      user: { id: trainingCenter.toString() },
+      body: { title: 'Advanced welding' }
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(course.title, 'Advanced welding');
+    // Material edit under pre-moderation
+    assert.equal(course.moderation.reviewRequired, true);
+  });
+});
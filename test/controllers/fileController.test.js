@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Readable } = require('stream');
+const express = require('express');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const Application = require('../../src/models/Application');
+const { generateFileToken } = require('../../src/utils/jwt');
+const { downloadFile } = require('../../src/controllers/fileController');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = (server, path) => new Promise((resolve, reject) => {
+  const { port } = server.address();
+  http.get({ port, path }, (res) => {
+    let body = '';
+    res.on('data', chunk => {
+      body += chunk;
+    });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+  }).on('error', reject);
+});
+
+test('downloadFile', async (t) => {
+  const app = express();
+  app.get('/download/:token', downloadFile);
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const { findById } = Application;
+  const { get } = axios;
+  t.after(() => {
+    Application.findById = findById;
+    axios.get = get;
+    server.close();
+  });
+
+  await t.test('serves files with non-ASCII names', async () => {
+    const applicationId = new mongoose.Types.ObjectId();
+    Application.findById = async () => ({
+      _id: applicationId,
+      jobSeeker: new mongoose.Types.ObjectId(),
+      employer: new mongoose.Types.ObjectId(),
+      coverLetter: { fileUrl: 'https://files.example.com/letter.pdf', fileName: 'မောင်မောင် "cover" letter.pdf' }
+    });
+    axios.get = async () => ({
+      headers: { 'content-type': 'application/pdf' },
+      data: Readable.from(['%PDF-1.4'])
+    });
+
+    const token = generateFileToken('cover_letter', applicationId.toString(), 'user');
+    const res = await request(server, `/download/${token}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body, '%PDF-1.4');
+    assert.equal(
+      res.headers['content-disposition'],
+      `inline; filename="cover letter.pdf"; filename*=UTF-8''${encodeURIComponent('မောင်မောင် "cover" letter.pdf')}`
+    );
+  });
+
+  await t.test('closes the upstream stream when the download fails', async () => {
+    const applicationId = new mongoose.Types.ObjectId();
+    const upstream = Readable.from(['data']);
+    Application.findById = async () => ({
+      _id: applicationId,
+      jobSeeker: new mongoose.Types.ObjectId(),
+      employer: new mongoose.Types.ObjectId(),
+      resumeUrl: 'https://files.example.com/resume.pdf'
+    });
+    axios.get = async () => ({
+      // An invalid header value makes res.set throw
+      headers: { 'content-type': 'application/pdf\n' },
+      data: upstream
+    });
+
+    const token = generateFileToken('application_resume', applicationId.toString(), 'user');
+    const res = await request(server, `/download/${token}`);
+
+    assert.equal(res.status, 502);
+    assert.equal(upstream.destroyed, true);
+  });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../../src/models/Job');
+const TrainingCourse = require('../../src/models/TrainingCourse');
+const { findWithDistance } = require('../../src/utils/geo');
+
+const geo = { point: [96.1951, 16.8661], radiusKm: 25 };
+
+// Run a distance-sorted search and return the aggregation pipeline it used
+const captureGeoNearPipeline = async (Model, options = {}) => {
+  let pipeline;
+  const { aggregate, populate } = Model;
+  Model.aggregate = async (stages) => {
+    pipeline = stages;
+    return [];
+  };
+  Model.populate = async (docs) => docs;
+  try {
+    await findWithDistance(Model, {
+      filter: { status: 'active' },
+      geo,
+      field: 'location.coordinates',
+      sort: 'distance',
+      skip: 0,
+      limit: 10,
+      ...options
+    });
+  } finally {
+    Model.aggregate = aggregate;
+    Model.populate = populate;
+  }
+  return pipeline;
+};
+
+test('findWithDistance', async (t) => {
+  await t.test('sorting jobs by distance leaves out hidden and requested paths', async () => {
+    const pipeline = await captureGeoNearPipeline(Job, { exclude: ['moderation'] });
+    const project = pipeline[pipeline.length - 1].$project;
+
+    assert.ok(pipeline[0].$geoNear);
+    assert.equal(project.risk, 0);
+    assert.equal(project.moderation, 0);
+    assert.equal(project['screeningQuestions.knockout'], 0);
+    assert.ok(Object.values(project).every(value => value === 0));
+  });
+
+  await t.test('does not add a projection when nothing is hidden', async () => {
+    const pipeline = await captureGeoNearPipeline(TrainingCourse);
+    assert.equal(pipeline.some(stage => stage.$project), false);
+  });
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const PlatformSettings = require('../../src/models/PlatformSettings');
+const { validateImportRow } = require('../../src/utils/jobImport');
+
+test('validateImportRow', async (t) => {
+  const { getSettings } = PlatformSettings;
+  PlatformSettings.getSettings = async () => ({ salary: { baseCurrency: 'USD', exchangeRates: [] } });
+  t.after(() => {
+    PlatformSettings.getSettings = getSettings;
+  });
+
+  const defaults = { employer: new mongoose.Types.ObjectId(), status: 'draft' };
+  const existing = {
+    _id: new mongoose.Types.ObjectId(),
+    employer: defaults.employer,
+    externalRef: 'JOB-1',
+    title: 'Sales assistant',
+    description: 'Help customers',
+    jobType: 'full-time',
+    status: 'active',
+    requirements: { skills: ['sales'], experience: '2 years', education: 'High school' },
+    location: { city: 'Yangon', state: 'Yangon Region', country: 'Myanmar', remote: false },
+    salary: { min: 3000, max: 5000, currency: 'USD', period: 'yearly' }
+  };
+
+  await t.test('merges the columns a row provides into the existing job', async () => {
+    const { job, fields, errors } = await validateImportRow(
+      { externalRef: 'JOB-1', salary: { max: 6000 }, location: { state: 'Yangon' } },
+      defaults,
+      new Map(),
+      existing
+    );
+
+    assert.equal(errors, undefined);
+    assert.deepEqual(fields, ['externalRef', 'location', 'salary']);
+    assert.equal(job.isNew, false);
+    assert.equal(job.status, 'active');
+    assert.deepEqual(
+      { min: job.salary.min, max: job.salary.max, currency: job.salary.currency, period: job.salary.period },
+      { min: 3000, max: 6000, currency: 'USD', period: 'yearly' }
+    );
+    assert.equal(job.normalizedSalary.max, 6000);
+    assert.equal(job.location.city, 'Yangon');
+    assert.equal(job.location.state, 'Yangon');
+    assert.equal(job.location.country, 'Myanmar');
+    assert.deepEqual([...job.requirements.skills], ['sales']);
+    assert.equal(job.requirements.experience, '2 years');
+  });
+
+  await t.test('checks the salary range against the merged salary', async () => {
+    const { errors } = await validateImportRow({ externalRef: 'JOB-1', salary: { min: 8000 } }, defaults, new Map(), existing);
+    assert.deepEqual(errors, ['Minimum salary cannot be greater than maximum salary']);
+  });
+
+  await t.test('leaves the existing job unchanged', async () => {
+    await validateImportRow({ externalRef: 'JOB-1', location: { city: 'Mandalay' } }, defaults, new Map(), existing);
+    assert.equal(existing.location.city, 'Yangon');
+    assert.equal(existing.salary.max, 5000);
+  });
+
+  await t.test('creates new jobs from the defaults', async () => {
+    const { job } = await validateImportRow(
+      { externalRef: 'JOB-2', title: 'Cashier', description: 'Run the till', jobType: 'part-time' },
+      defaults
+    );
+    assert.equal(job.isNew, true);
+    assert.equal(job.status, 'draft');
+    assert.equal(job.externalRef, 'JOB-2');
+  });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PlatformSettings = require('../../src/models/PlatformSettings');
+const { scoreJobsForProfile } = require('../../src/utils/jobRecommendation');
+
+test('scoreJobsForProfile', async (t) => {
+  const { getSettings } = PlatformSettings;
+  PlatformSettings.getSettings = async () => ({ salary: { baseCurrency: 'USD', exchangeRates: [] } });
+  t.after(() => {
+    PlatformSettings.getSettings = getSettings;
+  });
+
+  const profile = {
+    skills: ['sales'],
+    expectedSalary: { min: 5000, currency: 'USD', period: 'monthly' }
+  };
+  const job = (title, max) => ({
+    title,
+    jobType: 'full-time',
+    requirements: { skills: ['sales'] },
+    normalizedSalary: { min: max / 2, max }
+  });
+
+  await t.test('ranks jobs that meet the expected salary first', async () => {
+    const scored = await scoreJobsForProfile([job('Low pay', 30000), job('High pay', 80000)], profile);
+    assert.deepEqual(scored.map(item => item.job.title), ['High pay', 'Low pay']);
+    assert.ok(scored[0].matchScore > scored[1].matchScore);
+    assert.ok(scored[0].matchReasons.includes('Salary in expected range'));
+  });
+
+  await t.test('keeps the given order for equal scores', async () => {
+    const scored = await scoreJobsForProfile([job('First', 80000), job('Second', 90000)], profile);
+    assert.deepEqual(scored.map(item => item.job.title), ['First', 'Second']);
+  });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { couldMatchJob } = require('../../src/utils/jobSearch');
+
+const job = {
+  jobType: 'full-time',
+  location: { city: 'Yangon', country: 'Myanmar', remote: false, coordinates: { type: 'Point', coordinates: [96.1, 16.8] } },
+  requirements: { skills: ['sales', 'english'] },
+  normalizedSalary: { min: 6000, max: 9000 }
+};
+const categoryKeys = new Set(['64b000000000000000000001', 'sales-marketing', '64b000000000000000000002', 'retail-sales']);
+
+test('couldMatchJob', async (t) => {
+  await t.test('matches searches without filters', () => {
+    assert.equal(couldMatchJob({}, job), true);
+  });
+
+  await t.test('checks job type, city, skills and remote', () => {
+    assert.equal(couldMatchJob({ jobType: 'part-time,full-time' }, job), true);
+    assert.equal(couldMatchJob({ jobType: 'contract' }, job), false);
+    assert.equal(couldMatchJob({ city: 'Mandalay' }, job), false);
+    assert.equal(couldMatchJob({ skills: 'english,french' }, job), true);
+    assert.equal(couldMatchJob({ skills: 'french' }, job), false);
+    assert.equal(couldMatchJob({ remote: 'true' }, job), false);
+    assert.equal(couldMatchJob({ remote: 'true,false' }, job), true);
+  });
+
+  await t.test('matches location text against city, state and country', () => {
+    assert.equal(couldMatchJob({ location: 'myan' }, job), true);
+    assert.equal(couldMatchJob({ location: 'Bangkok' }, job), false);
+  });
+
+  await t.test('matches categories by id or slug, including parent categories', () => {
+    assert.equal(couldMatchJob({ category: 'Sales-Marketing' }, job, categoryKeys), true);
+    assert.equal(couldMatchJob({ category: '64b000000000000000000002' }, job, categoryKeys), true);
+    assert.equal(couldMatchJob({ category: 'engineering' }, job, categoryKeys), false);
+    assert.equal(couldMatchJob({ category: 'engineering' }, job), false);
+  });
+
+  await t.test('checks base-currency salary bounds only', () => {
+    assert.equal(couldMatchJob({ minSalary: '5000', maxSalary: '10000' }, job), true);
+    assert.equal(couldMatchJob({ minSalary: '7000' }, job), false);
+    assert.equal(couldMatchJob({ minSalary: '7000' }, { ...job, normalizedSalary: undefined }), false);
+    // Converted amounts are left to the database
+    assert.equal(couldMatchJob({ minSalary: '7000', salaryCurrency: 'MMK' }, job), true);
+  });
+
+  await t.test('leaves keyword and radius filters to the database', () => {
+    assert.equal(couldMatchJob({ search: 'unrelated words' }, job), true);
+    assert.equal(couldMatchJob({ near: 'Mandalay', radius: '5' }, job), true);
+    assert.equal(couldMatchJob({ near: 'Yangon' }, { ...job, location: { city: 'Unknown' } }), false);
+  });
+});
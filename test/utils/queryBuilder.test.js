@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createQueryBuilder, getPagination, parseList } = require('../../src/utils/queryBuilder');
+
+test('createQueryBuilder', async (t) => {
+  await t.test('builds an empty filter when nothing is set', () => {
+    assert.deepEqual(createQueryBuilder().build(), {});
+    assert.deepEqual(createQueryBuilder({}).search('title', '  ').anyOf('jobType', '').build(), {});
+  });
+
+  await t.test('returns a single clause without $and', () => {
+    assert.deepEqual(createQueryBuilder({ status: 'active' }).build(), { status: 'active' });
+    assert.deepEqual(createQueryBuilder().equals('status', 'draft').build(), { status: 'draft' });
+  });
+
+  await t.test('keeps both $or clauses when location and deadline filters are combined', () => {
+    const filter = createQueryBuilder({ status: 'active' })
+      .notExpired('applicationDeadline')
+      .search(['location.city', 'location.country'], 'Yangon', 'location')
+      .build();
+
+    assert.equal(filter.$or, undefined);
+    assert.equal(filter.$and.length, 3);
+    assert.deepEqual(filter.$and[0], { status: 'active' });
+
+    const [, deadline, location] = filter.$and;
+    assert.deepEqual(deadline.$or[1], { applicationDeadline: null });
+    assert.ok(deadline.$or[0].applicationDeadline.$gte instanceof Date);
+    assert.deepEqual(location, {
+      $or: [
+        { 'location.city': { $regex: 'Yangon', $options: 'i' } },
+        { 'location.country': { $regex: 'Yangon', $options: 'i' } }
+      ]
+    });
+  });
+
+  await t.test('escapes regular expression characters in search terms', () => {
+    const filter = createQueryBuilder().search('title', 'C++ (senior)').build();
+    assert.deepEqual(filter, { title: { $regex: 'C\\+\\+ \\(senior\\)', $options: 'i' } });
+  });
+
+  await t.test('matches any of the selected values', () => {
+    assert.deepEqual(
+      createQueryBuilder().anyOf('jobType', ['full-time,part-time', 'contract']).build(),
+      { jobType: { $in: ['full-time', 'part-time', 'contract'] } }
+    );
+  });
+
+  await t.test('builds ranges with either bound and ignores invalid numbers', () => {
+    assert.deepEqual(createQueryBuilder().range('salary.min', '1000', undefined).build(), { 'salary.min': { $gte: 1000 } });
+    assert.deepEqual(createQueryBuilder().range('salary.max', undefined, '5000').build(), { 'salary.max': { $lte: 5000 } });
+    assert.deepEqual(createQueryBuilder().range('salary.min', 'abc', '').build(), {});
+  });
+
+  await t.test('replaces a clause added again under the same key', () => {
+    const filter = createQueryBuilder()
+      .equals('status', 'draft')
+      .equals('status', 'active')
+      .build();
+    assert.deepEqual(filter, { status: 'active' });
+  });
+
+  await t.test('leaves out one clause with build(except) for facet counts', () => {
+    const filters = createQueryBuilder({ status: 'active' })
+      .anyOf('jobType', 'full-time')
+      .anyOf('location.city', 'Yangon', 'city');
+
+    assert.deepEqual(filters.build('jobType'), {
+      $and: [{ status: 'active' }, { 'location.city': { $in: ['Yangon'] } }]
+    });
+    assert.deepEqual(filters.build('city'), {
+      $and: [{ status: 'active' }, { jobType: { $in: ['full-time'] } }]
+    });
+    // Unknown keys leave the filter unchanged, and the builder is not modified
+    assert.deepEqual(filters.build('skills'), filters.build());
+    assert.equal(filters.build().$and.length, 3);
+  });
+
+  await t.test('build(except) falls back to the base filter', () => {
+    const filters = createQueryBuilder({ status: 'active' }).anyOf('jobType', 'contract');
+    assert.deepEqual(filters.build('jobType'), { status: 'active' });
+    assert.deepEqual(createQueryBuilder().anyOf('jobType', 'contract').build('jobType'), {});
+  });
+});
+
+test('getPagination', async (t) => {
+  await t.test('uses defaults for missing or invalid values', () => {
+    assert.deepEqual(getPagination(), { page: 1, limit: 10, skip: 0 });
+    assert.deepEqual(getPagination({ page: 'abc', limit: 'xyz' }), { page: 1, limit: 10, skip: 0 });
+    assert.deepEqual(getPagination({}, { defaultLimit: 20 }), { page: 1, limit: 20, skip: 0 });
+  });
+
+  await t.test('clamps page and limit', () => {
+    assert.deepEqual(getPagination({ page: '0', limit: '0' }), { page: 1, limit: 10, skip: 0 });
+    assert.deepEqual(getPagination({ page: '-3', limit: '-5' }), { page: 1, limit: 1, skip: 0 });
+    assert.deepEqual(getPagination({ page: '3', limit: '1000' }), { page: 3, limit: 100, skip: 200 });
+    assert.deepEqual(getPagination({ limit: '80' }, { maxLimit: 50 }), { page: 1, limit: 50, skip: 0 });
+  });
+});
+
+test('parseList', () => {
+  assert.deepEqual(parseList(undefined), []);
+  assert.deepEqual(parseList(''), []);
+  assert.deepEqual(parseList('a, b,,c'), ['a', 'b', 'c']);
+  assert.deepEqual(parseList(['a', 'b,c']), ['a', 'b', 'c']);
+});
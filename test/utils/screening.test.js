@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { mergeQuestions, evaluateAnswers, getKnockoutReason } = require('../../src/utils/screening');
+
+const existing = [
+  { _id: new mongoose.Types.ObjectId(), question: 'Do you have a driving licence?', type: 'yes_no' },
+  { _id: new mongoose.Types.ObjectId(), question: 'Years of experience', type: 'number' }
+];
+
+test('mergeQuestions', async (t) => {
+  await t.test('keeps ids sent by the client', () => {
+    const merged = mergeQuestions(existing, [
+      { _id: existing[1]._id.toString(), question: 'Years of experience in sales', type: 'number' }
+    ]);
+    assert.equal(merged[0]._id, existing[1]._id);
+    assert.equal(merged[0].question, 'Years of experience in sales');
+  });
+
+  await t.test('matches unchanged questions sent without an id', () => {
+    const merged = mergeQuestions(existing, [
+      { question: 'years of experience ', type: 'number', knockout: { min: 2 } },
+      { question: 'Do you have a driving licence?', type: 'yes_no' }
+    ]);
+    assert.equal(merged[0]._id, existing[1]._id);
+    assert.deepEqual(merged[0].knockout, { min: 2 });
+    assert.equal(merged[1]._id, existing[0]._id);
+  });
+
+  await t.test('gives new and unknown questions no id', () => {
+    const merged = mergeQuestions(existing, [
+      { _id: new mongoose.Types.ObjectId().toString(), question: 'Can you start next month?', type: 'yes_no' },
+      { question: 'Years of experience', type: 'text' }
+    ]);
+    assert.equal(merged[0]._id, undefined);
+    assert.equal(merged[1]._id, undefined);
+  });
+
+  await t.test('does not reuse an id claimed by another question', () => {
+    const merged = mergeQuestions(existing, [
+      { question: 'Do you have a driving licence?', type: 'yes_no' },
+      { _id: existing[0]._id.toString(), question: 'Do you own a car?', type: 'yes_no' }
+    ]);
+    assert.equal(merged[0]._id, undefined);
+    assert.equal(merged[1]._id, existing[0]._id);
+  });
+});
+
+const questions = [
+  { _id: new mongoose.Types.ObjectId(), question: 'Do you have a driving licence?', type: 'yes_no', required: true, knockout: { expectedAnswer: true } },
+  { _id: new mongoose.Types.ObjectId(), question: 'Shift', type: 'single_choice', options: ['day', 'night', 'weekend'], knockout: { rejectOptions: ['weekend'] } },
+  { _id: new mongoose.Types.ObjectId(), question: 'Years of experience', type: 'number', knockout: { min: 2, max: 10 } }
+];
+const [licence, shift, years] = questions.map(q => q._id.toString());
+
+test('evaluateAnswers', async (t) => {
+  await t.test('accepts answers keyed by question id or as a list', () => {
+    const byId = evaluateAnswers(questions, { [licence]: 'yes', [shift]: 'day', [years]: '3' });
+    assert.equal(byId.error, null);
+    assert.deepEqual(byId.answers.map(a => a.answer), [true, 'day', 3]);
+    assert.deepEqual(byId.knockoutReasons, []);
+
+    const list = evaluateAnswers(questions, [{ question: licence, answer: true }]);
+    assert.equal(list.error, null);
+    assert.equal(list.answers.length, 1);
+  });
+
+  await t.test('requires answers to required questions', () => {
+    assert.equal(evaluateAnswers(questions, { [shift]: 'day' }).error, 'Please answer: Do you have a driving licence?');
+    assert.equal(evaluateAnswers(questions, { [licence]: '' }).error, 'Please answer: Do you have a driving licence?');
+  });
+
+  await t.test('rejects answers of the wrong type', () => {
+    assert.equal(evaluateAnswers(questions, { [licence]: 'maybe' }).error, 'Invalid answer for: Do you have a driving licence?');
+    assert.equal(evaluateAnswers(questions, { [licence]: 'yes', [shift]: 'evening' }).error, 'Invalid answer for: Shift');
+    assert.equal(evaluateAnswers(questions, { [licence]: 'yes', [years]: 'ten' }).error, 'Invalid answer for: Years of experience');
+  });
+
+  await t.test('rejects malformed answer lists', () => {
+    for (const entry of [null, 'yes', 3]) {
+      const result = evaluateAnswers(questions, [{ question: licence, answer: true }, entry]);
+      assert.match(result.error, /^Invalid answer/);
+      assert.deepEqual(result.answers, []);
+    }
+  });
+
+  await t.test('collects knockout reasons', () => {
+    const result = evaluateAnswers(questions, { [licence]: 'no', [shift]: 'weekend', [years]: 1 });
+    assert.equal(result.error, null);
+    assert.equal(result.knockoutReasons.length, 3);
+  });
+});
+
+test('getKnockoutReason', async (t) => {
+  await t.test('checks yes/no answers against the expected answer', () => {
+    assert.equal(getKnockoutReason(questions[0], true), null);
+    assert.equal(getKnockoutReason(questions[0], false), '"Do you have a driving licence?" must be answered yes');
+  });
+
+  await t.test('checks single and multiple choice answers against rejected options', () => {
+    assert.equal(getKnockoutReason(questions[1], 'night'), null);
+    assert.equal(getKnockoutReason(questions[1], 'weekend'), '"Shift" answered weekend');
+    assert.equal(getKnockoutReason({ ...questions[1], type: 'multi_choice' }, ['day', 'weekend']), '"Shift" answered weekend');
+  });
+
+  await t.test('checks numbers against the minimum and maximum', () => {
+    assert.equal(getKnockoutReason(questions[2], 2), null);
+    assert.equal(getKnockoutReason(questions[2], 1), '"Years of experience" is below the minimum of 2');
+    assert.equal(getKnockoutReason(questions[2], 11), '"Years of experience" is above the maximum of 10');
+  });
+
+  await t.test('ignores questions without a knockout rule', () => {
+    assert.equal(getKnockoutReason({ question: 'Notes', type: 'text' }, 'anything'), null);
+  });
+});